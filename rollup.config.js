@@ -2,13 +2,27 @@ import resolve from 'rollup-plugin-node-resolve';
 import commonjs from 'rollup-plugin-commonjs';
 import typescript from 'rollup-plugin-typescript';
 
-export default {
-    input: 'src/index.ts',
-    plugins: [resolve(), commonjs(), typescript({ typescript: require('typescript') })],
-    external: ['prettier', 'svelte'],
-    output: {
-        file: 'plugin.js',
-        format: 'esm',
-        sourcemap: true,
+const plugins = () => [resolve(), commonjs(), typescript({ typescript: require('typescript') })];
+
+export default [
+    {
+        input: 'src/index.ts',
+        plugins: plugins(),
+        external: ['prettier', 'svelte'],
+        output: {
+            file: 'plugin.js',
+            format: 'cjs',
+            sourcemap: true,
+        },
+    },
+    {
+        input: 'src/cli.ts',
+        plugins: plugins(),
+        external: ['prettier', 'svelte', 'fs', 'path', 'glob', 'diff'],
+        output: {
+            file: 'bin/svelte-format.js',
+            format: 'cjs',
+            banner: '#!/usr/bin/env node',
+        },
     },
-};
+];
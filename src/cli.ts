@@ -0,0 +1,234 @@
+import { format, resolveConfig } from 'prettier';
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+import { extname, join } from 'path';
+import { languages, parsers, printers, options } from './index';
+
+const { sync: globSync } = require('glob');
+const { createTwoFilesPatch } = require('diff');
+
+const plugin = { languages, parsers, printers, options };
+
+const extensions = languages
+    .map(language => language.extensions || [])
+    .reduce((all, current) => all.concat(current), []);
+
+const usage = `Usage: svelte-format [options] [file/dir/glob ...]
+
+Formats Svelte components with prettier and the Svelte plugin. Prettier configuration files
+are picked up as usual. Without --write, --check or --diff the formatted code is printed.
+
+Options:
+    --write                  Edit files in place
+    --check                  Exit with code 1 if any file isn't formatted
+    --diff                   Print a unified diff of the changes
+    --stdin-filepath <path>  Format the code from stdin as if it was the file at <path>
+    -h, --help               Show this help
+`;
+
+export interface CliIO {
+    stdout(text: string): void;
+    stderr(text: string): void;
+    readStdin(): Promise<string>;
+}
+
+interface CliArgs {
+    write: boolean;
+    check: boolean;
+    diff: boolean;
+    help: boolean;
+    stdinFilepath?: string;
+    patterns: string[];
+}
+
+/**
+ * Runs the `svelte-format` command with the given arguments and resolves with its exit code:
+ * 0 on success, 1 if `--check` found unformatted files, and 2 on errors.
+ */
+export async function run(argv: string[], io: CliIO = processIO): Promise<number> {
+    let args: CliArgs;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        io.stderr(`${err.message}\n\n${usage}`);
+        return 2;
+    }
+
+    if (args.help) {
+        io.stdout(usage);
+        return 0;
+    }
+
+    if (args.stdinFilepath !== undefined) {
+        if (args.write || args.patterns.length) {
+            io.stderr('--stdin-filepath cannot be combined with --write or file patterns\n');
+            return 2;
+        }
+
+        const input = await io.readStdin();
+        const result = await formatFile(args.stdinFilepath, input, io);
+        if (result === null) {
+            return 2;
+        }
+
+        const isFormatted = result === input;
+        if (args.diff && !isFormatted) {
+            io.stdout(createTwoFilesPatch(args.stdinFilepath, args.stdinFilepath, input, result));
+        }
+        if (args.check) {
+            return isFormatted ? 0 : 1;
+        }
+        if (!args.diff) {
+            io.stdout(result);
+        }
+        return 0;
+    }
+
+    if (!args.patterns.length) {
+        io.stderr(usage);
+        return 2;
+    }
+
+    const files = expandPatterns(args.patterns);
+    if (!files.length) {
+        io.stderr(`No Svelte files matching ${args.patterns.join(' ')}\n`);
+        return 2;
+    }
+
+    let hasErrors = false;
+    const unformattedFiles: string[] = [];
+    for (const file of files) {
+        const input = readFileSync(file, 'utf-8');
+        const result = await formatFile(file, input, io);
+        if (result === null) {
+            hasErrors = true;
+            continue;
+        }
+
+        if (!args.write && !args.check && !args.diff) {
+            io.stdout(result);
+            continue;
+        }
+
+        if (result === input) {
+            continue;
+        }
+
+        unformattedFiles.push(file);
+        if (args.diff) {
+            io.stdout(createTwoFilesPatch(file, file, input, result));
+        }
+        if (args.write) {
+            writeFileSync(file, result);
+            io.stdout(`${file}\n`);
+        } else if (args.check) {
+            io.stderr(`[warn] ${file}\n`);
+        }
+    }
+
+    if (args.check && !args.write) {
+        if (unformattedFiles.length) {
+            io.stderr(
+                '[warn] Code style issues found in the above file(s). Run svelte-format --write to fix.\n',
+            );
+        } else if (!hasErrors) {
+            io.stdout('All matched files are formatted.\n');
+        }
+    }
+
+    if (hasErrors) {
+        return 2;
+    }
+    return args.check && !args.write && unformattedFiles.length ? 1 : 0;
+}
+
+function parseArgs(argv: string[]): CliArgs {
+    const args: CliArgs = { write: false, check: false, diff: false, help: false, patterns: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--write') {
+            args.write = true;
+        } else if (arg === '--check' || arg === '-c') {
+            args.check = true;
+        } else if (arg === '--diff') {
+            args.diff = true;
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg === '--stdin-filepath') {
+            if (i + 1 >= argv.length) {
+                throw new Error('--stdin-filepath requires a path');
+            }
+            args.stdinFilepath = argv[++i];
+        } else if (arg.startsWith('--stdin-filepath=')) {
+            args.stdinFilepath = arg.slice('--stdin-filepath='.length);
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            args.patterns.push(arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * Directories are searched for Svelte files, and only files with a Svelte extension are kept from
+ * the matches of glob patterns. `node_modules` is never searched.
+ */
+function expandPatterns(patterns: string[]): string[] {
+    const files: string[] = [];
+    for (const pattern of patterns) {
+        const isDirectory = existsSync(pattern) && statSync(pattern).isDirectory();
+        const matches: string[] = isDirectory
+            ? globSync(join(pattern, `**/*{${extensions.join(',')}}`), {
+                  nodir: true,
+                  ignore: '**/node_modules/**',
+              })
+            : globSync(pattern, { nodir: true, ignore: '**/node_modules/**' });
+        matches
+            .filter(file => extensions.indexOf(extname(file)) !== -1)
+            .forEach(file => files.indexOf(file) === -1 && files.push(file));
+    }
+    return files;
+}
+
+/**
+ * Formats the code with the prettier configuration that applies to the file, and reports errors
+ * as `file:line:column` followed by a code frame. Resolves with `null` if formatting failed.
+ */
+async function formatFile(file: string, input: string, io: CliIO): Promise<string | null> {
+    try {
+        const config = await resolveConfig(file, { editorconfig: true });
+        return await format(input, { ...config, filepath: file, plugins: [plugin] } as any);
+    } catch (err) {
+        if (err.loc && err.loc.start) {
+            const { line, column } = err.loc.start;
+            const message = (err.codeFrame
+                ? err.message.replace(`\n${err.codeFrame}`, '')
+                : err.message
+            ).replace(` (${line}:${column})`, '');
+            io.stderr(`${file}:${line}:${column}: ${message}\n`);
+            if (err.codeFrame) {
+                io.stderr(`${err.codeFrame}\n`);
+            }
+        } else {
+            io.stderr(`${file}: ${err.stack || err.message}\n`);
+        }
+        return null;
+    }
+}
+
+const processIO: CliIO = {
+    stdout: text => process.stdout.write(text),
+    stderr: text => process.stderr.write(text),
+    readStdin: () =>
+        new Promise((resolve, reject) => {
+            let input = '';
+            process.stdin.setEncoding('utf8');
+            process.stdin.on('data', chunk => (input += chunk));
+            process.stdin.on('end', () => resolve(input));
+            process.stdin.on('error', reject);
+        }),
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => (process.exitCode = code));
+}
@@ -1,59 +1,114 @@
 import { FastPath, Doc, doc, ParserOptions } from 'prettier';
 import { PrintFn } from './print';
-import { Node, AttributeNode, TextNode } from './print/nodes';
+import { Node, ElementNode, AttributeNode, CustomBlockNode } from './print/nodes';
+import { parseCustomBlocks } from './options';
 import { getText } from './lib/getText';
+import { fromEmbeddedError } from './lib/errors';
+import {
+    getBatchedExpressionDoc,
+    getExpressionOwner,
+    getExpressionPlugin,
+    isPattern,
+    EXPRESSION_PARSER,
+} from './lib/expressions';
+import { concat, createEmbed, getDocParts, Embedding } from './lib/compat';
+import {
+    getAttributeTextValue,
+    printRaw,
+    isQuotedAttributeValue,
+    useSingleQuoteInMarkup,
+} from './print/helpers';
 
 const {
-    builders: { concat, hardline, group, indent },
-    utils: { removeLines },
+    builders: { hardline, group, indent, line, lineSuffixBoundary },
+    printer: { printDocToString },
 } = doc;
 
-export function embed(
-    path: FastPath,
-    print: PrintFn,
-    textToDoc: (text: string, options: object) => Doc,
-    options: ParserOptions,
-): Doc | null {
+export const embed = createEmbed(embedNode);
+
+/**
+ * Returns the generator that formats the code in a node (see `Embedding`), or `null` if the node
+ * is printed as usual. The generator doesn't run before prettier asks for the doc, which prettier 3
+ * does after it called `embed` for every node.
+ */
+function embedNode(path: FastPath, print: PrintFn, options: ParserOptions): Embedding | null {
     const node: Node = path.getNode();
     if (node.isJS) {
-        return removeLines(
-            textToDoc(getText(node, options), {
-                parser: expressionParser,
-                singleQuote: true,
-            }),
-        );
+        const parent: Node = path.getParentNode();
+        const owner = getExpressionOwner(parent, path.getParentNode(1));
+        const isInHtmlAttribute = !!owner && isQuotedAttributeValue(owner, options);
+        return embedExpression(path, options, node, isInHtmlAttribute, isPattern(node, parent));
     }
 
     switch (node.type) {
         case 'Script':
-            return embedTag('script', path, print, textToDoc, node);
+            return embedTag('script', path, print, options, node);
         case 'Style':
-            return embedTag('style', path, print, textToDoc, node);
+            return embedTag('style', path, print, options, node);
+        case 'CustomBlock':
+            return embedCustomBlock(path, print, options, node);
         case 'Element': {
             if (node.name === 'script' || node.name === 'style') {
-                return embedTag(node.name, path, print, textToDoc, node, true)
+                return embedTag(node.name, path, print, options, node, true);
             }
+            // the parser blanks the content of tags named like a custom block anywhere
+            if (parseCustomBlocks(options.svelteCustomBlocks).hasOwnProperty(node.name)) {
+                return embedCustomBlock(path, print, options, node, true);
+            }
+            break;
+        }
+        case 'Attribute': {
+            if (
+                node.name === 'style' &&
+                options.svelteFormatStyleAndClass &&
+                node.value !== true &&
+                node.value.some(n => n.type === 'Text')
+            ) {
+                return embedStyleAttribute(path, print, options, node);
+            }
+            break;
         }
     }
 
     return null;
 }
 
-function expressionParser(text: string, parsers: any) {
-    const ast = parsers.babylon(`(${text})`);
-    return {
-        type: 'File',
-        program: ast.program.body[0].expression,
+function* embedExpression(
+    path: FastPath,
+    options: ParserOptions,
+    node: Node,
+    isInHtmlAttribute: boolean,
+    isPattern: boolean,
+): Embedding {
+    // patterns are never part of a batch
+    const batchedDoc =
+        !isPattern && (yield* getBatchedExpressionDoc(path, options, node, isInHtmlAttribute));
+    if (batchedDoc) {
+        return batchedDoc;
+    }
+
+    const text = getText(node, options);
+    const doc: Doc = yield {
+        text,
+        options: {
+            parser: EXPRESSION_PARSER,
+            plugins: [...options.plugins, getExpressionPlugin(options)],
+            singleQuote: useSingleQuoteInMarkup(options),
+            // makes prettier print every string with single quotes
+            __isInHtmlAttribute: isInHtmlAttribute,
+            __isPattern: isPattern,
+        },
     };
+
+    // a line comment at the end is printed after the line, so the line has to end before the `}`
+    return text.indexOf('//') !== -1 ? concat([doc, lineSuffixBoundary]) : doc;
 }
 
 function skipBlank(docs: Doc[]): number {
     for (let i = docs.length - 1; i >= 0; i--) {
         const doc = docs[i];
-        if (typeof doc !== 'string') {
-            if (doc.type === 'break-parent') {
-                continue;
-            }
+        if (doc === '' || (typeof doc !== 'string' && doc.type === 'break-parent')) {
+            continue;
         }
 
         return i;
@@ -67,55 +122,191 @@ function nukeLastLine(doc: Doc): Doc {
         return doc;
     }
 
-    switch (doc.type) {
-        case 'concat':
-            const end = skipBlank(doc.parts);
-            if (end > -1) {
-                return concat([
-                    ...doc.parts.slice(0, end),
-                    nukeLastLine(doc.parts[end]),
-                    ...doc.parts.slice(end + 1),
-                ]);
-            }
-            break;
-        case 'line':
-            return '';
+    const parts = getDocParts(doc);
+    if (parts) {
+        const end = skipBlank(parts);
+        if (end > -1) {
+            return concat([
+                ...parts.slice(0, end),
+                nukeLastLine(parts[end]),
+                ...parts.slice(end + 1),
+            ]);
+        }
+    } else if (doc.type === 'group') {
+        // the yaml printer ends its doc with a group
+        return { ...doc, contents: nukeLastLine(doc.contents) };
+    } else if (doc.type === 'line') {
+        return '';
     }
 
     return doc;
 }
 
-function embedTag(
+const scriptParsers: Record<string, string> = {
+    js: 'babel',
+    javascript: 'babel',
+    module: 'babel',
+    'text/javascript': 'babel',
+    'application/javascript': 'babel',
+    'text/babel': 'babel',
+    jsx: 'babel',
+    ts: 'typescript',
+    typescript: 'typescript',
+    'text/typescript': 'typescript',
+    'application/typescript': 'typescript',
+    json: 'json',
+    'application/json': 'json',
+    'application/ld+json': 'json',
+    importmap: 'json',
+};
+
+const styleParsers: Record<string, string> = {
+    css: 'css',
+    'text/css': 'css',
+    postcss: 'css',
+    'text/postcss': 'css',
+    scss: 'scss',
+    'text/scss': 'scss',
+    less: 'less',
+    'text/less': 'less',
+};
+
+/**
+ * Picks the parser for the content of a `<script>` or `<style>` tag from its `lang` or `type`
+ * attribute. Returns `null` for languages prettier doesn't know about.
+ */
+export function getTagParser(tag: string, node: Node & { attributes: Node[] }): string | null {
+    const lang = getAttributeTextValue(node, 'lang') || getAttributeTextValue(node, 'type');
+    if (typeof lang !== 'string') {
+        return tag === 'script' ? 'babel' : 'css';
+    }
+
+    const parsers = tag === 'script' ? scriptParsers : styleParsers;
+    return parsers[lang.trim().toLowerCase()] || null;
+}
+
+/**
+ * Returns the node with the source text between the opening and the closing tag of a `<script>`,
+ * `<style>` or custom block. Top-level scripts and styles keep it in `content`, other tags in a
+ * single text child.
+ */
+export function getTagContent(node: Node): Node | undefined {
+    return node.type === 'Script' || node.type === 'Style'
+        ? node.content
+        : (node as ElementNode).children[0];
+}
+
+/**
+ * Formats the declarations of a `style` attribute with prettier's CSS printer. Mustache tags are
+ * swapped for placeholder identifiers while the CSS is formatted, and printed as usual after.
+ */
+function* embedStyleAttribute(
+    path: FastPath,
+    print: PrintFn,
+    options: ParserOptions,
+    node: AttributeNode,
+): Embedding {
+    const value = node.value as Node[];
+    const css = value
+        .map((part, index) =>
+            part.type === 'Text' ? part.raw || part.data : styleAttributePlaceholder(index),
+        )
+        .join('');
+
+    const cssDoc: Doc = yield { text: `a{${css}}`, options: { parser: 'css', singleQuote: true } };
+    const formatted = printDocToString(cssDoc, { ...options, printWidth: Infinity }).formatted;
+
+    let declarations = formatted
+        .slice(formatted.indexOf('{') + 1, formatted.lastIndexOf('}'))
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join(' ');
+    // a string that prettier can't print in single quotes would end the attribute, which is then
+    // printed as written
+    if (declarations.indexOf('"') !== -1) {
+        throw new Error('Failed to format style attribute');
+    }
+    // the last declaration only keeps its semicolon if it had one
+    if (!/;\s*$/.test(css)) {
+        declarations = declarations.replace(/;$/, '');
+    }
+
+    const parts: Doc[] = declarations
+        .split(/__svelte_(\d+)__/)
+        .map((part, index) => (index % 2 === 0 ? part : path.call(print, 'value', Number(part))));
+    const expressionCount = value.filter(part => part.type !== 'Text').length;
+    if ((parts.length - 1) / 2 !== expressionCount) {
+        throw new Error('Failed to format style attribute');
+    }
+
+    return concat([line, 'style="', ...parts, '"']);
+}
+
+function styleAttributePlaceholder(index: number): string {
+    return `__svelte_${index}__`;
+}
+
+function* embedTag(
     tag: string,
     path: FastPath,
     print: PrintFn,
-    textToDoc: (text: string, options: object) => Doc,
+    options: ParserOptions,
     node: Node & { attributes: Node[] },
-    inline: boolean,
-) {
-    const parser = tag === 'script' ? 'typescript' : 'css';
-    const contentAttribute = (node.attributes as AttributeNode[]).find(
-        n => n.name === '✂prettier:content✂',
+    inline = false,
+): Embedding {
+    const parser = getTagParser(tag, node);
+    const contentNode = getTagContent(node);
+    const content = contentNode ? getText(contentNode, options) : '';
+    const contentDoc: Doc = parser ? yield* embedTagContent(tag, parser, options, node) : '';
+
+    return printTag(
+        tag,
+        path,
+        print,
+        // content in a language prettier can't format is kept as written
+        parser
+            ? concat([indent(concat([hardline, nukeLastLine(contentDoc)])), hardline])
+            : printRaw(content),
+        inline,
     );
-    let content = '';
-    if (
-        contentAttribute &&
-        Array.isArray(contentAttribute.value) &&
-        contentAttribute.value.length > 0
-    ) {
-        const encodedContent = (contentAttribute.value[0] as TextNode).data;
-        content = Buffer.from(encodedContent, 'base64').toString('utf-8');
+}
+
+/**
+ * Formats the content of a custom block with the parser `svelteCustomBlocks` gives its tag. The
+ * content isn't indented, as indentation changes the meaning of Markdown and YAML.
+ */
+function* embedCustomBlock(
+    path: FastPath,
+    print: PrintFn,
+    options: ParserOptions,
+    node: CustomBlockNode | ElementNode,
+    inline = false,
+): Embedding {
+    const parser = parseCustomBlocks(options.svelteCustomBlocks)[node.name];
+    const contentNode = getTagContent(node);
+    const content = contentNode ? getText(contentNode, options) : '';
+
+    let contentDoc: Doc = '';
+    // a tag inside the markup is kept as written, the indentation of the markup would change it
+    if (parser === 'verbatim' || inline) {
+        contentDoc = printRaw(content);
+    } else if (content.trim() !== '') {
+        const doc: Doc = yield* embedTagContent(node.name, parser, options, node);
+        contentDoc = concat([hardline, nukeLastLine(doc), hardline]);
     }
-    node.attributes = node.attributes.filter(n => n !== contentAttribute);
 
+    return printTag(node.name, path, print, contentDoc, inline);
+}
+
+function printTag(tag: string, path: FastPath, print: PrintFn, contentDoc: Doc, inline: boolean) {
     return group(
         concat([
             '<',
             tag,
             indent(group(concat(path.map(childPath => childPath.call(print), 'attributes')))),
             '>',
-            indent(concat([hardline, nukeLastLine(textToDoc(content, { parser }))])),
-            hardline,
+            contentDoc,
             '</',
             tag,
             '>',
@@ -123,3 +314,34 @@ function embedTag(
         ]),
     );
 }
+
+/**
+ * Prettier ignores errors thrown while embedding and prints the node as usual instead, so syntax
+ * errors in the content are kept on the node, with their location moved to the component, for the
+ * printer to throw.
+ */
+function* embedTagContent(
+    tag: string,
+    parser: string,
+    options: ParserOptions,
+    node: Node,
+): Embedding {
+    const contentNode = getTagContent(node);
+    if (!contentNode) {
+        return yield { text: '', options: { parser } };
+    }
+
+    try {
+        return yield { text: getText(contentNode, options), options: { parser } };
+    } catch (err) {
+        if (err.loc) {
+            node.syntaxError = fromEmbeddedError(
+                err,
+                options.originalText,
+                contentNode.start,
+                `<${tag}>`,
+            );
+        }
+        throw err;
+    }
+}
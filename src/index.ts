@@ -1,7 +1,16 @@
 import { SupportLanguage, Parser, Printer } from 'prettier';
 import { print } from './print';
 import { embed } from './embed';
-import { snipTagContent } from './lib/snipTagContent';
+import { parseSvelte } from './lib/parseSvelte';
+import { blankTagContent } from './lib/blankTagContent';
+import { fromSvelteError } from './lib/errors';
+import { hasPragma, insertPragma } from './lib/pragma';
+import { canAttachComment, getCommentChildNodes } from './lib/cursor';
+import { markExpressions } from './lib/expressions';
+import { formatRange } from './lib/range';
+import { getParseOptions } from './lib/compat';
+import { parseSvx, printSvx, embedSvx } from './svx';
+import { parseCustomBlocks } from './options';
 
 function locStart(node: any) {
     return node.start;
@@ -17,38 +26,121 @@ export const languages: Partial<SupportLanguage>[] = [
         parsers: ['svelte'],
         extensions: ['.svelte'],
     },
+    {
+        name: 'svx',
+        parsers: ['svx'],
+        extensions: ['.svx'],
+    },
 ];
 
 export const parsers: Record<string, Parser> = {
     svelte: {
-        parse: text => {
+        parse: (text: string, parsers: any, options?: any) => {
+            const customBlocks = getCustomBlockNames(getParseOptions(parsers, options));
             try {
-                return require(`svelte/compiler`).parse(text);
+                const ast = parseSvelte(text, customBlocks);
+                fixStyleElementEnd(ast.html);
+                trimTopLevelWhitespace(ast.html);
+                markExpressions(ast);
+                // the root spans the whole file, which `formatWithCursor` expects
+                ast.start = 0;
+                ast.end = text.length;
+                return ast;
             } catch (err) {
-                err.loc = {
-                    start: err.start,
-                    end: err.end,
-                };
-                delete err.start;
-                delete err.end;
-                throw err;
+                throw err.start ? fromSvelteError(err, blankTagContent(text, customBlocks)) : err;
             }
         },
-        preprocess: text => {
-            text = snipTagContent('style', text);
-            text = snipTagContent('script', text, '{}');
-            return text.trim();
-        },
+        // prettier 3 waits for the promise it returns
+        preprocess: formatRange as Parser['preprocess'],
+        hasPragma,
         locStart,
         locEnd,
         astFormat: 'svelte-ast',
     },
+    svx: {
+        parse: parseSvx,
+        locStart,
+        locEnd,
+        astFormat: 'svx-ast',
+    },
 };
 
+/**
+ * Returns the tags of the custom blocks. An invalid `svelteCustomBlocks` is reported by the
+ * printer, as prettier 1 turns errors without a location thrown by parsers into strings.
+ */
+function getCustomBlockNames(options: any): string[] {
+    try {
+        return Object.keys(parseCustomBlocks(options.svelteCustomBlocks || ''));
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * The svelte compiler removes top-level `<script>` and `<style>` tags from the markup, which
+ * leaves the whitespace around them behind as separate text nodes. Those are merged together,
+ * and dropped at the start and the end of the markup.
+ */
+function trimTopLevelWhitespace(fragment: any) {
+    const isBlank = (node: any) => node && node.type === 'Text' && node.data.trim() === '';
+
+    const children: any[] = [];
+    for (const child of fragment.children) {
+        const previous = children[children.length - 1];
+        if (isBlank(previous) && isBlank(child)) {
+            children[children.length - 1] = {
+                ...previous,
+                end: child.end,
+                data: previous.data + child.data,
+                raw: (previous.raw || previous.data) + (child.raw || child.data),
+            };
+        } else {
+            children.push(child);
+        }
+    }
+
+    while (isBlank(children[0])) {
+        children.shift();
+    }
+    while (isBlank(children[children.length - 1])) {
+        children.pop();
+    }
+
+    fragment.children = children;
+}
+
+/**
+ * The svelte compiler doesn't set the end of `<style>` elements that aren't at the top level.
+ */
+function fixStyleElementEnd(node: any) {
+    if (node.type === 'Element' && node.name === 'style' && node.end == null) {
+        const content = node.children[0];
+        node.end = content.end + '</style>'.length;
+    }
+
+    for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(child => child && child.type && fixStyleElementEnd(child));
+        } else if (value && typeof value === 'object' && value.type) {
+            fixStyleElementEnd(value);
+        }
+    }
+}
+
 export const printers: Record<string, Printer> = {
     'svelte-ast': {
         print,
         embed,
+        insertPragma,
+        canAttachComment,
+        // missing from the typings of prettier 1.x
+        getCommentChildNodes,
+    } as Printer,
+    'svx-ast': {
+        print: printSvx,
+        embed: embedSvx,
     },
 };
 
@@ -0,0 +1,107 @@
+/**
+ * Replaces the content of every `<script>` and `<style>` tag, and of the custom blocks among the
+ * given tags, with whitespace, keeping line breaks so that every offset stays the same. This lets
+ * the svelte compiler parse components whose scripts and styles are written in a language it
+ * doesn't understand (e.g. TypeScript or SCSS), while the content itself is read from the original
+ * text using the offsets in the AST.
+ *
+ * Comments, mustache tags and quoted attribute values are skipped, so a `<script>` inside any of
+ * them is left alone.
+ */
+export function blankTagContent(text: string, customBlocks: string[] = []): string {
+    let result = '';
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+        let next = index + 1;
+
+        if (text.startsWith('<!--', index)) {
+            next = skipPast(text, '-->', index + 4);
+        } else if (char === '{') {
+            next = skipBraces(text, index);
+        } else if (char === '<' && /[a-z]/i.test(text[index + 1])) {
+            const name = text.slice(index + 1).match(/^[^\s/>]+/)![0];
+            next = skipOpeningTag(text, index);
+
+            const isSelfClosing = text[next - 2] === '/';
+            const isBlanked =
+                name === 'script' || name === 'style' || customBlocks.indexOf(name) !== -1;
+            if (isBlanked && !isSelfClosing) {
+                const closingTag = `</${name}>`;
+                const contentEnd = text.indexOf(closingTag, next);
+                if (contentEnd !== -1) {
+                    result += text.slice(index, next) + blank(text.slice(next, contentEnd));
+                    index = contentEnd;
+                    continue;
+                }
+            }
+        }
+
+        result += text.slice(index, next);
+        index = next;
+    }
+
+    return result;
+}
+
+function blank(text: string): string {
+    return text.replace(/[^\r\n]/g, ' ');
+}
+
+function skipPast(text: string, search: string, from: number): number {
+    const index = text.indexOf(search, from);
+    return index === -1 ? text.length : index + search.length;
+}
+
+function skipQuoted(text: string, index: number): number {
+    const quote = text[index];
+    for (let i = index + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            return i + 1;
+        }
+    }
+
+    return text.length;
+}
+
+function skipBraces(text: string, index: number): number {
+    let depth = 0;
+    for (let i = index; i < text.length; ) {
+        const char = text[i];
+        if (char === '"' || char === "'" || char === '`') {
+            i = skipQuoted(text, i);
+            continue;
+        }
+
+        if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return i + 1;
+        }
+        i++;
+    }
+
+    return text.length;
+}
+
+function skipOpeningTag(text: string, index: number): number {
+    for (let i = index + 1; i < text.length; ) {
+        const char = text[i];
+        if (char === '>') {
+            return i + 1;
+        }
+
+        if (char === '"' || char === "'") {
+            i = skipPast(text, char, i + 1);
+        } else if (char === '{') {
+            i = skipBraces(text, i);
+        } else {
+            i++;
+        }
+    }
+
+    return text.length;
+}
@@ -0,0 +1,176 @@
+import { FastPath, Doc, doc, ParserOptions, Parser, Printer, Plugin } from 'prettier';
+import { PrintFn } from '../print';
+
+/**
+ * The plugin runs on prettier 1.16 and later, prettier 2 and prettier 3, using the doc builders of
+ * whichever prettier loads it. The differences between those versions are dealt with here:
+ *
+ * - Prettier 3 removed `concat` and takes arrays of docs instead, which prettier 2.3 and later
+ *   already print internally. Docs are taken apart with `getDocParts`.
+ * - Prettier 3 calls `embed` with the path and the options only, before printing, and the function
+ *   it returns is given a `textToDoc` that returns a promise. See `createEmbed`.
+ * - Prettier 3 no longer passes the built-in parsers to the parser of a plugin, and loads its own
+ *   plugins lazily. See `getParseOptions`, `getBuiltinParser` and `getEstreePrinter`.
+ */
+
+const { builders, utils } = doc;
+
+export const concat: (parts: Doc[]) => Doc =
+    builders.concat || ((parts: Doc[]) => (parts as unknown) as Doc);
+
+/**
+ * Returns the parts of a concatenation, or `null` for any other doc.
+ */
+export function getDocParts(doc: Doc): Doc[] | null {
+    if (Array.isArray(doc)) {
+        return doc;
+    }
+    return typeof doc !== 'string' && doc.type === 'concat' ? doc.parts : null;
+}
+
+/**
+ * Prettier 2.3 and later propagate breaks when printing a doc, and prettier 3 no longer exports
+ * `propagateBreaks`.
+ */
+export function propagateBreaks(doc: Doc) {
+    const { propagateBreaks } = utils as any;
+    if (propagateBreaks) {
+        propagateBreaks(doc);
+    }
+}
+
+export type TextToDoc = (text: string, options: object) => Doc;
+
+export interface TextToDocCall {
+    text: string;
+    options: object;
+}
+
+/**
+ * Embedded code is formatted by generators which yield a `TextToDocCall` for every piece of code
+ * that prettier has to format, and are resumed with its doc, or with the error it threw. That way
+ * the same code runs with the synchronous `textToDoc` of prettier 1 and 2 and with the
+ * asynchronous one of prettier 3.
+ */
+export type Embedding = IterableIterator<any>;
+
+type EmbedFn = (path: FastPath, print: PrintFn, options: ParserOptions) => Embedding | null;
+
+/**
+ * Turns the generator-based `embed` of a printer into one that prettier 1, 2 and 3 can call.
+ * Prettier 3 refuses an `embed` that declares more than two parameters.
+ */
+export function createEmbed(embed: EmbedFn) {
+    return function(path: FastPath, ...args: any[]): any {
+        if (typeof args[0] === 'function') {
+            // prettier 1 and 2: `embed(path, print, textToDoc, options)`
+            const [print, textToDoc, options] = args;
+            const embedding = embed(path, print, options);
+            return embedding ? runSync(embedding, textToDoc) : null;
+        }
+
+        // prettier 3: `embed(path, options)`, the generator only starts once `print` is given
+        let print: PrintFn;
+        const embedding = embed(path, childPath => print(childPath), args[0]);
+        return embedding
+            ? (textToDoc: (text: string, options: object) => Promise<Doc>, embedPrint: PrintFn) => {
+                  print = embedPrint;
+                  return runAsync(embedding, textToDoc);
+              }
+            : undefined;
+    };
+}
+
+function runSync(embedding: Embedding, textToDoc: TextToDoc): Doc {
+    let step = embedding.next();
+    while (!step.done) {
+        const call: TextToDocCall = step.value;
+        let result: Doc;
+        try {
+            result = textToDoc(call.text, call.options);
+        } catch (err) {
+            step = embedding.throw!(err);
+            continue;
+        }
+        step = embedding.next(result);
+    }
+    return step.value;
+}
+
+async function runAsync(
+    embedding: Embedding,
+    textToDoc: (text: string, options: object) => Promise<Doc>,
+): Promise<Doc> {
+    let step = embedding.next();
+    while (!step.done) {
+        const call: TextToDocCall = step.value;
+        let result: Doc;
+        try {
+            result = await textToDoc(call.text, call.options);
+        } catch (err) {
+            step = embedding.throw!(err);
+            continue;
+        }
+        step = embedding.next(result);
+    }
+    return step.value;
+}
+
+/**
+ * Returns the options that the `parse` of a parser is called with. Prettier 1 and 2 pass the
+ * built-in parsers second and the options third, prettier 3 passes the options second.
+ */
+export function getParseOptions(parsers: any, options?: any): any {
+    return options || parsers;
+}
+
+function findPlugin(options: ParserOptions, predicate: (plugin: Plugin) => boolean) {
+    return (options.plugins as Plugin[]).find(
+        plugin => !!plugin && typeof plugin === 'object' && predicate(plugin),
+    );
+}
+
+/**
+ * Returns a parser of prettier's own plugins. Its `parse` takes the text, and the options after a
+ * placeholder for the parsers that prettier 1 and 2 pass along.
+ */
+export function getBuiltinParser(
+    name: 'babel' | 'markdown' | 'css' | 'scss' | 'less',
+    options: ParserOptions,
+): Parser {
+    const plugin = findPlugin(options, p => !!p.parsers && typeof p.parsers[name] === 'object');
+    if (plugin) {
+        return plugin.parsers![name];
+    }
+
+    // prettier 3 only lists loaders for its own parsers in the options
+    const module =
+        name === 'babel'
+            ? require('prettier/plugins/babel')
+            : name === 'markdown'
+            ? require('prettier/plugins/markdown')
+            : require('prettier/plugins/postcss');
+    return module.parsers[name];
+}
+
+/**
+ * Returns the printer for JavaScript ASTs of prettier's own plugins.
+ */
+export function getEstreePrinter(options: ParserOptions): Printer {
+    const plugin = findPlugin(options, p => !!p.printers && typeof p.printers.estree === 'object');
+    return plugin ? plugin.printers!.estree : require('prettier/plugins/estree').printers.estree;
+}
+
+/**
+ * Returns the API of the prettier that runs the plugin. Prettier 1 and 2 load plugins with
+ * `require`, so it is the module that loaded the plugin. Prettier 3 imports them, and is then the
+ * one the plugin resolves.
+ */
+export function getPrettier(): any {
+    for (let parent = module.parent; parent; parent = parent.parent) {
+        if (parent.exports && typeof parent.exports.formatWithCursor === 'function') {
+            return parent.exports;
+        }
+    }
+    return require('prettier');
+}
@@ -0,0 +1,53 @@
+/**
+ * Prettier doesn't attach comments to Svelte ASTs, but it uses the same two printer hooks to find
+ * the node that contains the cursor in `formatWithCursor`. The cursor is then tracked by comparing
+ * the source of that node with its printed output, instead of the whole component.
+ *
+ * Only the nodes of the template are considered. Expressions are formatted by prettier's own
+ * printers, which don't report the printed position of nested nodes, and text nodes are printed as
+ * part of the `fill` of their inline siblings. The top-level fragment is skipped as well, since the
+ * top-level `<script>` and `<style>` tags that lie within it are printed separately.
+ */
+const CHILD_KEYS = [
+    'html',
+    'module',
+    'instance',
+    'css',
+    'customBlocks',
+    'attributes',
+    'value',
+    'children',
+    'else',
+    'pending',
+    'then',
+    'catch',
+];
+
+export function canAttachComment(node: any): boolean {
+    return (
+        !!node &&
+        typeof node.type === 'string' &&
+        node.type !== 'Text' &&
+        node.type !== 'Fragment' &&
+        typeof node.start === 'number' &&
+        typeof node.end === 'number'
+    );
+}
+
+export function getCommentChildNodes(node: any): any[] {
+    const childNodes: any[] = [];
+    for (const key of CHILD_KEYS) {
+        const value = node[key];
+        // the `value` of an `{#await}` block is an expression
+        if (key === 'value' && !Array.isArray(value)) {
+            continue;
+        }
+
+        if (Array.isArray(value)) {
+            childNodes.push(...value.filter(child => child && typeof child === 'object'));
+        } else if (value && typeof value === 'object') {
+            childNodes.push(value);
+        }
+    }
+    return childNodes;
+}
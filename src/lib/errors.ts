@@ -0,0 +1,105 @@
+export interface Position {
+    line: number;
+    column: number;
+}
+
+export interface Location {
+    start: Position;
+    end: Position;
+}
+
+/**
+ * Creates an error the way prettier's own parsers do: `loc` holds 1-based lines and columns in the
+ * component, which editors use to underline the error, and the position ends the message. Prettier
+ * adds a code frame to errors thrown while parsing.
+ */
+export function createSyntaxError(message: string, loc: Location): SyntaxError {
+    const error: SyntaxError & { loc?: Location } = new SyntaxError(
+        `${message} (${loc.start.line}:${loc.start.column})`,
+    );
+    error.loc = loc;
+    return error;
+}
+
+/**
+ * Converts an error of the svelte parser, whose columns are 0-based, and names the template
+ * expression or tag the error is in.
+ */
+export function fromSvelteError(err: any, text: string): SyntaxError {
+    const message = err.message.split('\n')[0];
+    const context = describeExpression(text, err.start.character);
+    return createSyntaxError(context ? `${message} in ${context}` : message, {
+        start: { line: err.start.line, column: err.start.column + 1 },
+        end: { line: err.end.line, column: err.end.column + 1 },
+    });
+}
+
+/**
+ * Moves the location of an error thrown by prettier while formatting the content of a tag, which
+ * is relative to that content, to the component.
+ */
+export function fromEmbeddedError(
+    err: any,
+    text: string,
+    contentStart: number,
+    context: string,
+): SyntaxError {
+    const base = getPosition(text, contentStart);
+    const move = ({ line, column }: Position): Position => ({
+        line: base.line + line - 1,
+        column: line === 1 ? base.column + column : column,
+    });
+
+    let message: string = err.codeFrame
+        ? err.message.replace(`\n${err.codeFrame}`, '')
+        : err.message;
+    message = message.replace(/ \(\d+:\d+\)$/, '').replace(/\.$/, '');
+    return createSyntaxError(`${message} in ${context}`, {
+        start: move(err.loc.start),
+        end: move(err.loc.end || err.loc.start),
+    });
+}
+
+/**
+ * Returns the 1-based line and the 0-based column of an offset.
+ */
+function getPosition(text: string, offset: number): Position {
+    const lines = text.slice(0, offset).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length };
+}
+
+/**
+ * Finds the unclosed `{` before the offset and describes what it opens, e.g. `{#if} tag` or
+ * `attribute expression of on:click`. The content of `<script>` and `<style>` tags must be blanked
+ * in the text, so that their braces aren't counted.
+ */
+function describeExpression(text: string, offset: number): string | null {
+    let depth = 0;
+    let open = offset - 1;
+    for (; open >= 0; open--) {
+        if (text[open] === '}') {
+            depth++;
+        } else if (text[open] === '{') {
+            if (depth === 0) {
+                break;
+            }
+            depth--;
+        }
+    }
+    if (open < 0) {
+        return null;
+    }
+
+    const tag = /^\{\s*([#:@/][a-z]+(?: if)?)/.exec(text.slice(open, offset));
+    if (tag) {
+        return `{${tag[1]}} tag`;
+    }
+
+    const tagStart = text.lastIndexOf('<', open);
+    const attribute = /([^\s"'=<>/{}]+)=(?:["'][^"']*)?$/.exec(text.slice(tagStart + 1, open));
+    if (attribute) {
+        return `attribute expression of ${attribute[1]}`;
+    }
+
+    return 'template expression';
+}
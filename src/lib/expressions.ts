@@ -0,0 +1,450 @@
+import { FastPath, Doc, ParserOptions, Plugin, Printer } from 'prettier';
+import { Node } from '../print/nodes';
+import { getText } from './getText';
+import { isQuotedAttributeValue, useSingleQuoteInMarkup } from '../print/helpers';
+import {
+    concat,
+    getDocParts,
+    getBuiltinParser,
+    getEstreePrinter,
+    getParseOptions,
+    Embedding,
+} from './compat';
+
+/**
+ * Every call to `textToDoc` normalizes the options and resolves the parser again, which costs far
+ * more than parsing and printing a typical template expression. So the first time an expression is
+ * embedded, all expressions of the component are parsed together as one synthetic module, one
+ * statement per expression, and printed in a single `textToDoc` call per quote style. The printed
+ * expressions are kept until they are embedded.
+ *
+ * Expressions with comments, and those that aren't valid expressions on their own (such as
+ * destructuring patterns with defaults), are left out and formatted one at a time as before.
+ */
+interface PrintedExpression {
+    doc: Doc;
+    isInHtmlAttribute: boolean;
+}
+
+const printedExpressions = new WeakMap<object, Map<Node, PrintedExpression>>();
+
+// keys of template nodes that hold expressions, and keys that hold other template nodes
+const EXPRESSION_KEYS = ['expression', 'context', 'key', 'value', 'error', 'tag', 'parameters'];
+const CHILD_KEYS = [
+    'html',
+    'customBlocks',
+    'attributes',
+    'value',
+    'children',
+    'else',
+    'pending',
+    'then',
+    'catch',
+];
+
+export const EXPRESSION_PARSER = 'svelte-expression';
+const BATCH_PARSER = 'svelte-expressions';
+
+interface Expression {
+    node: Node;
+    text: string;
+    isInHtmlAttribute: boolean;
+}
+
+/**
+ * Returns the doc of an expression printed as part of the batch of its component, or `undefined`
+ * if it wasn't, in which case it has to be embedded by itself.
+ */
+export function* getBatchedExpressionDoc(
+    path: FastPath,
+    options: ParserOptions,
+    node: Node,
+    isInHtmlAttribute: boolean,
+): Embedding {
+    const root = path.stack[0];
+    let printed = printedExpressions.get(root);
+    if (!printed) {
+        printed = new Map();
+        // a batch that fails isn't retried, its expressions are embedded one at a time instead
+        printedExpressions.set(root, printed);
+        yield* printExpressions(collectExpressions(root, options), options, printed);
+    }
+
+    const expression = printed.get(node);
+    if (!expression || expression.isInHtmlAttribute !== isInHtmlAttribute) {
+        return undefined;
+    }
+
+    // docs must not be printed twice, `fill`s are consumed by printing
+    printed.delete(node);
+    return expression.doc;
+}
+
+/**
+ * Marks the expressions of the template, which are formatted by prettier's JavaScript printer in
+ * `embed`. This is done by the parser, as prettier 3 embeds code before printing anything.
+ */
+export function markExpressions(root: any) {
+    forEachExpression(root, node => {
+        node.isJS = true;
+        includeAttachedComments(node);
+    });
+}
+
+/**
+ * Svelte 5 allows comments before and after an expression, like `{a /* b *\/}`, and attaches them
+ * to its nodes outside of their range. The range of the expression is widened to take them in, so
+ * they are formatted along with it instead of being lost.
+ */
+function includeAttachedComments(expression: any) {
+    const visit = (node: any) => {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+
+        for (const comment of [...(node.leadingComments || []), ...(node.trailingComments || [])]) {
+            expression.start = Math.min(expression.start, comment.start);
+            expression.end = Math.max(expression.end, comment.end);
+        }
+        for (const key of Object.keys(node)) {
+            if (key !== 'loc' && key !== 'leadingComments' && key !== 'trailingComments') {
+                visit(node[key]);
+            }
+        }
+    };
+    visit(expression);
+}
+
+function collectExpressions(root: any, options: ParserOptions): Expression[] {
+    const expressions: Expression[] = [];
+    forEachExpression(root, (node, owner) => {
+        const text = getText(node, options);
+        if (!/\/[/*]/.test(text) && !isPattern(node, owner)) {
+            expressions.push({
+                node,
+                text,
+                isInHtmlAttribute: !!owner && isQuotedAttributeValue(owner, options),
+            });
+        }
+    });
+    return expressions;
+}
+
+/**
+ * Returns whether an expression is a parameter of a snippet or the left side of a `{@const}`,
+ * which are parsed as patterns rather than expressions (see `parseExpressionOrPattern`).
+ */
+export function isPattern(node: Node, owner: Node): boolean {
+    return (
+        (owner.type === 'SnippetBlock' && owner.parameters.indexOf(node) !== -1) ||
+        (owner.type === 'AssignmentExpression' && owner.left === node)
+    );
+}
+
+/**
+ * Returns the node that owns an expression, given the node the expression is in and its parent. A
+ * mustache tag is owned by the attribute or directive it is the value of, and among the children of
+ * an element it is on its own. The getter and setter of a function binding are in a sequence.
+ */
+export function getExpressionOwner(node: Node, parent: Node): Node {
+    if (node.type === 'MustacheTag') {
+        const value = (parent as any).value;
+        return Array.isArray(value) && value.indexOf(node) !== -1 ? parent : node;
+    }
+    return node.type === 'SequenceExpression' ? parent : node;
+}
+
+/**
+ * Returns whether a node is a Svelte 5 function binding, like `bind:value={get, set}`.
+ */
+export function isGetterSetterBinding(node: Node): boolean {
+    return (
+        node.type === 'Binding' &&
+        !!node.expression &&
+        node.expression.type === 'SequenceExpression'
+    );
+}
+
+/**
+ * Calls the callback with every expression of the template, and the node that owns it.
+ */
+function forEachExpression(root: any, callback: (node: any, owner: Node) => void) {
+    const add = (node: any, owner: Node) => {
+        if (node && typeof node === 'object' && typeof node.start === 'number') {
+            callback(node, owner);
+        }
+    };
+
+    const visit = (node: any, parent: Node) => {
+        if (node.type === 'ConstTag') {
+            // printed as `left = right`
+            add(node.expression.left, node.expression);
+            add(node.expression.right, node.expression);
+        } else if (isGetterSetterBinding(node)) {
+            // printed as `get, set`, Svelte rejects the parentheses around a sequence
+            node.expression.expressions.forEach((item: any) => add(item, node));
+        } else {
+            for (const key of EXPRESSION_KEYS) {
+                const value = node[key];
+                if (key === 'value' && Array.isArray(value)) {
+                    continue;
+                }
+
+                const owner = getExpressionOwner(node, parent);
+                if (Array.isArray(value)) {
+                    value.forEach(item => add(item, owner));
+                } else if (!(key === 'tag' && typeof value === 'string')) {
+                    add(value, owner);
+                }
+            }
+        }
+
+        for (const key of CHILD_KEYS) {
+            const value = node[key];
+            if (key === 'value' && !Array.isArray(value)) {
+                continue;
+            }
+
+            if (Array.isArray(value)) {
+                value.forEach(child => child && child.type && visit(child, node));
+            } else if (value && typeof value === 'object' && value.type) {
+                visit(value, node);
+            }
+        }
+    };
+    visit(root, root);
+}
+
+function* printExpressions(
+    expressions: Expression[],
+    options: ParserOptions,
+    printed: Map<Node, PrintedExpression>,
+): Embedding {
+    for (const isInHtmlAttribute of [false, true]) {
+        const batch = parseBatch(
+            expressions.filter(expression => expression.isInHtmlAttribute === isInHtmlAttribute),
+            options,
+        );
+        if (!batch) {
+            continue;
+        }
+
+        const batchDoc: Doc = yield {
+            text: batch.text,
+            options: {
+                parser: BATCH_PARSER,
+                plugins: [...options.plugins, getExpressionPlugin(options)],
+                singleQuote: useSingleQuoteInMarkup(options),
+                __isInHtmlAttribute: isInHtmlAttribute,
+                // the parsed batch is handed to the parser, which is only given the text
+                __svelteExpressions: batch.ast,
+            },
+        };
+
+        const labels = (getDocParts(batchDoc) || [batchDoc]) as any[];
+        batch.expressions.forEach((expression, i) =>
+            printed.set(expression.node, { doc: labels[i].contents, isInHtmlAttribute }),
+        );
+    }
+}
+
+interface Batch {
+    text: string;
+    expressions: Expression[];
+    ast: any;
+}
+
+/**
+ * Parses the expressions as one module. An expression that can't be parsed as part of it is left
+ * out and the rest is parsed again.
+ */
+function parseBatch(expressions: Expression[], options: ParserOptions): Batch | null {
+    const babel = getBuiltinParser('babel', options);
+    while (expressions.length > 0) {
+        const lines: number[] = [];
+        let line = 1;
+        const text = expressions
+            .map(expression => {
+                lines.push(line);
+                line += expression.text.split('\n').length;
+                return `(${expression.text});`;
+            })
+            .join('\n');
+
+        let program: any;
+        try {
+            program = babel.parse(text, {}, {} as ParserOptions).program;
+        } catch (err) {
+            if (!err.loc) {
+                return null;
+            }
+            let failed = lines.length - 1;
+            while (failed > 0 && lines[failed] > err.loc.start.line) {
+                failed--;
+            }
+            expressions = expressions.filter((_, i) => i !== failed);
+            continue;
+        }
+
+        if (
+            program.body.length !== expressions.length ||
+            program.body.some((statement: any) => statement.type !== 'ExpressionStatement')
+        ) {
+            return null;
+        }
+
+        const files = program.body.map((statement: any) => ({
+            type: 'File',
+            program: statement.expression,
+            start: statement.expression.start,
+            end: statement.expression.end,
+        }));
+        return { text, expressions, ast: { type: 'SvelteExpressions', files, comments: [] } };
+    }
+
+    return null;
+}
+
+// the plugin is built from the babel parser and estree printer among the plugins of a format call
+const expressionPlugins = new WeakMap<object, Plugin>();
+
+/**
+ * Provides the parsers for single expressions and for batches. A batch is printed by prettier's
+ * own JavaScript printer, except for its root, which keeps the docs of the expressions apart.
+ */
+export function getExpressionPlugin(options: ParserOptions): Plugin {
+    const cached = expressionPlugins.get(options.plugins);
+    if (cached) {
+        return cached;
+    }
+
+    const babel = getBuiltinParser('babel', options);
+    const estree = getEstreePrinter(options);
+    const printer: Printer = {
+        ...estree,
+        print(path, printOptions, print, ...args: any[]) {
+            const node = path.getValue();
+            return node && node.type === 'SvelteExpressions'
+                ? concat(path.map(filePath => label(print(filePath)), 'files'))
+                : (estree.print as any)(path, printOptions, print, ...args);
+        },
+    };
+    // prettier 3 walks the AST with the visitor keys of the printer, which only knows estree nodes
+    const { getVisitorKeys } = estree as any;
+    if (getVisitorKeys) {
+        (printer as any).getVisitorKeys = (node: any, nonTraversableKeys: Set<string>) =>
+            node.type === 'SvelteExpressions'
+                ? ['files']
+                : getVisitorKeys(node, nonTraversableKeys);
+    }
+    const expressionPlugin = {
+        parsers: {
+            [EXPRESSION_PARSER]: {
+                parse: (text: string, parsers: any, parseOptions: any) =>
+                    parseExpressionOrPattern(
+                        text,
+                        babel,
+                        getParseOptions(parsers, parseOptions).__isPattern,
+                    ),
+                astFormat: 'estree',
+                locStart: babel.locStart,
+                locEnd: babel.locEnd,
+            },
+            [BATCH_PARSER]: {
+                parse: (_text: string, parsers: any, parseOptions: any) =>
+                    getParseOptions(parsers, parseOptions).__svelteExpressions,
+                astFormat: BATCH_PARSER,
+                locStart: babel.locStart,
+                locEnd: babel.locEnd,
+            },
+        },
+        printers: { [BATCH_PARSER]: printer },
+    } as any;
+    expressionPlugins.set(options.plugins, expressionPlugin);
+    return expressionPlugin;
+}
+
+/**
+ * Keeps the doc of an expression apart from the others, as prettier 3 merges adjacent strings of
+ * the docs that `textToDoc` returns.
+ */
+function label(contents: Doc): Doc {
+    return { type: 'label', label: BATCH_PARSER, contents } as any;
+}
+
+/**
+ * Patterns, like the parameters of a snippet, are parsed as the parameter of an arrow function.
+ * Destructuring patterns with defaults or rest elements aren't valid expressions, and a type
+ * annotation would be read as a type cast and printed in parentheses, which Svelte rejects.
+ * Expressions that fail to parse are tried as a pattern too.
+ *
+ * The comments are kept for prettier to print, and every location is moved back by the code that
+ * wraps the expression, as prettier reads the text around nodes and comments at their locations.
+ */
+function parseExpressionOrPattern(text: string, babel: any, isPattern: boolean) {
+    const parse = (before: string, after: string) => {
+        // a line comment at the end must not comment out the code after the expression
+        const file = babel.parse(`${before}${text}\n${after}`, {}, {});
+        const expression = file.program.body[0].expression;
+        const shifted = new Set<object>();
+        shiftLocations(file.comments, before.length, shifted);
+        shiftLocations(expression, before.length, shifted);
+        return { expression, comments: file.comments };
+    };
+
+    const parsePattern = () => {
+        const parsed = parse('((', ') => {})');
+        return { ...parsed, expression: parsed.expression.params[0] };
+    };
+
+    let parsed: { expression: any; comments: any[] };
+    if (isPattern) {
+        parsed = parsePattern();
+    } else {
+        try {
+            parsed = parse('(', ')');
+        } catch (err) {
+            try {
+                parsed = parsePattern();
+            } catch (_) {
+                throw err;
+            }
+        }
+    }
+
+    return { type: 'File', program: parsed.expression, comments: parsed.comments };
+}
+
+// comments can be reachable from several nodes, `shifted` keeps them from being moved twice
+function shiftLocations(node: any, offset: number, shifted: Set<object>) {
+    if (!node || typeof node !== 'object' || shifted.has(node)) {
+        return;
+    }
+    shifted.add(node);
+
+    if (Array.isArray(node)) {
+        node.forEach(child => shiftLocations(child, offset, shifted));
+        return;
+    }
+
+    if (typeof node.start === 'number') {
+        node.start -= offset;
+        node.end -= offset;
+    }
+    if (node.range) {
+        node.range = [node.range[0] - offset, node.range[1] - offset];
+    }
+    if (node.extra && typeof node.extra.parenStart === 'number') {
+        node.extra.parenStart -= offset;
+    }
+
+    for (const key of Object.keys(node)) {
+        if (key !== 'loc' && key !== 'extra' && key !== 'range') {
+            shiftLocations(node[key], offset, shifted);
+        }
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * Svelte 5 parses components into a "modern" AST. It can still convert that into the AST of
+ * Svelte 3 and 4, which the printer is written against, but that conversion is deprecated. So the
+ * plugin reads the modern AST and converts it here into the node types of Svelte 3 and 4, extended
+ * with the nodes for the new syntax such as `SnippetBlock` and `RenderTag` (see `print/nodes.ts`).
+ *
+ * JavaScript and CSS nodes are kept as they are. So are template nodes this doesn't know about,
+ * which the printer prints as written.
+ */
+export function fromModernAst(ast: any, text: string): any {
+    const children = ast.fragment.nodes.map((node: any) => convertNode(node, text));
+
+    // `<svelte:options>` is taken out of the fragment, it goes back where it was in the markup
+    if (ast.options) {
+        const options = {
+            type: 'Options',
+            name: 'svelte:options',
+            start: ast.options.start,
+            end: ast.options.end,
+            attributes: convertNodes(ast.options.attributes, text),
+        };
+        const index = children.findIndex((child: any) => child.start >= options.end);
+        children.splice(index === -1 ? children.length : index, 0, options);
+    }
+
+    let start = null;
+    let end = null;
+    if (children.length > 0) {
+        start = children[0].start;
+        end = children[children.length - 1].end;
+        while (/\s/.test(text[start])) {
+            start++;
+        }
+        while (/\s/.test(text[end - 1])) {
+            end--;
+        }
+    }
+
+    return {
+        html: { type: 'Fragment', start, end, children },
+        instance: ast.instance ? convertScript(ast.instance, text) : undefined,
+        module: ast.module ? convertScript(ast.module, text) : undefined,
+        css: ast.css || undefined,
+    };
+}
+
+function convertScript(node: any, text: string): any {
+    return { ...node, attributes: convertNodes(node.attributes, text) };
+}
+
+// elements and directives that only have a different type in the AST of Svelte 3 and 4
+const ELEMENT_TYPES: Record<string, string> = {
+    RegularElement: 'Element',
+    SvelteElement: 'Element',
+    Component: 'InlineComponent',
+    SvelteComponent: 'InlineComponent',
+    SvelteSelf: 'InlineComponent',
+    SvelteFragment: 'SlotTemplate',
+    SvelteHead: 'Head',
+    SvelteBody: 'Body',
+    SvelteWindow: 'Window',
+    SvelteDocument: 'Document',
+    SvelteBoundary: 'SvelteBoundary',
+    SvelteOptions: 'Options',
+    TitleElement: 'Title',
+    SlotElement: 'Slot',
+};
+
+const DIRECTIVE_TYPES: Record<string, string> = {
+    SpreadAttribute: 'Spread',
+    BindDirective: 'Binding',
+    OnDirective: 'EventHandler',
+    ClassDirective: 'Class',
+    UseDirective: 'Action',
+    TransitionDirective: 'Transition',
+    AnimateDirective: 'Animation',
+    LetDirective: 'Let',
+};
+
+function convertNodes(nodes: any[], text: string): any[] {
+    return nodes.map(node => convertNode(node, text));
+}
+
+function convertNode(node: any, text: string): any {
+    if (ELEMENT_TYPES.hasOwnProperty(node.type)) {
+        return convertElement(node, text);
+    }
+    if (DIRECTIVE_TYPES.hasOwnProperty(node.type)) {
+        return { ...copy(node), type: DIRECTIVE_TYPES[node.type] };
+    }
+
+    switch (node.type) {
+        case 'ExpressionTag':
+            return {
+                type: 'MustacheTag',
+                start: node.start,
+                end: node.end,
+                expression: node.expression,
+            };
+        case 'HtmlTag':
+            return { ...copy(node), type: 'RawMustacheTag' };
+        case 'ConstTag': {
+            // printed as `left = right`, the left side spans its type annotation like a parameter
+            const [declarator] = node.declaration.declarations;
+            const { typeAnnotation } = declarator.id;
+            const left = {
+                ...declarator.id,
+                end: typeAnnotation
+                    ? Math.max(declarator.id.end, typeAnnotation.end)
+                    : declarator.id.end,
+            };
+            return {
+                type: 'ConstTag',
+                start: node.start,
+                end: node.end,
+                expression: {
+                    type: 'AssignmentExpression',
+                    start: node.declaration.start + 'const '.length,
+                    end: node.declaration.end,
+                    operator: '=',
+                    left,
+                    right: declarator.init,
+                },
+            };
+        }
+        case 'Attribute':
+        case 'StyleDirective':
+            return { ...copy(node), value: convertAttributeValue(node, text) };
+        case 'IfBlock':
+            return convertIfBlock(node, text);
+        case 'EachBlock':
+            return {
+                type: 'EachBlock',
+                start: node.start,
+                end: node.end,
+                expression: node.expression,
+                context: node.context,
+                index: node.index,
+                key: node.key,
+                children: convertBlockNodes(node.body.nodes, text),
+                else: node.fallback
+                    ? convertElseBlock(node.fallback.nodes, node.end, text)
+                    : undefined,
+            };
+        case 'AwaitBlock':
+            return convertAwaitBlock(node, text);
+        case 'KeyBlock':
+            return {
+                type: 'KeyBlock',
+                start: node.start,
+                end: node.end,
+                expression: node.expression,
+                children: convertBlockNodes(node.fragment.nodes, text),
+            };
+        case 'SnippetBlock':
+            return {
+                type: 'SnippetBlock',
+                start: node.start,
+                end: node.end,
+                expression: node.expression,
+                parameters: node.parameters,
+                typeParams: node.typeParams ? node.typeParams.trim() : undefined,
+                children: convertBlockNodes(node.body.nodes, text),
+            };
+        default:
+            return copy(node);
+    }
+}
+
+function convertElement(node: any, text: string): any {
+    const element: any = {
+        type: ELEMENT_TYPES[node.type],
+        start: node.start,
+        end: node.end,
+        name: node.name,
+        attributes: convertNodes(node.attributes, text),
+    };
+
+    if (node.type === 'SvelteComponent') {
+        element.expression = node.expression;
+    }
+    if (node.type === 'SvelteElement') {
+        // a static tag name, like `this="div"`, is a string
+        const tag = node.tag;
+        element.tag =
+            tag.type === 'Literal' && typeof tag.value === 'string' && text[tag.start - 1] !== '{'
+                ? tag.value
+                : tag;
+    }
+    if (node.fragment) {
+        element.children =
+            node.type === 'SvelteBoundary'
+                ? convertBlockNodes(node.fragment.nodes, text)
+                : convertNodes(node.fragment.nodes, text);
+    }
+
+    return element;
+}
+
+/**
+ * The value of an attribute or a `style:` directive is always a list, and an expression that
+ * stands for the attribute of the same name, like `{value}`, is an `AttributeShorthand`.
+ */
+function convertAttributeValue(node: any, text: string): any {
+    if (node.value === true) {
+        return true;
+    }
+    if (Array.isArray(node.value)) {
+        return convertNodes(node.value, text);
+    }
+
+    const tag = node.value;
+    return text[node.start] === '{'
+        ? [
+              {
+                  type: 'AttributeShorthand',
+                  start: tag.start,
+                  end: tag.end,
+                  expression: tag.expression,
+              },
+          ]
+        : [convertNode(tag, text)];
+}
+
+function convertIfBlock(node: any, text: string): any {
+    // an `{:else if}` starts at its first child, like in Svelte 3 and 4
+    const start = node.elseif
+        ? node.consequent.nodes.length > 0
+            ? node.consequent.nodes[0].start
+            : text.lastIndexOf('{', node.end - 1)
+        : node.start;
+
+    return {
+        type: 'IfBlock',
+        start,
+        end: node.end,
+        expression: node.test,
+        children: convertBlockNodes(node.consequent.nodes, text),
+        else: node.alternate ? convertElseBlock(node.alternate.nodes, node.end, text) : undefined,
+        elseif: node.elseif ? true : undefined,
+    };
+}
+
+function convertElseBlock(nodes: any[], blockEnd: number, text: string): any {
+    const end = text.lastIndexOf('{', blockEnd - 1);
+    // the children of an `{:else if}` are those of its `IfBlock`
+    const first =
+        nodes.length === 1 && nodes[0].type === 'IfBlock' && nodes[0].elseif
+            ? nodes[0].consequent.nodes[0]
+            : nodes[0];
+
+    return {
+        type: 'ElseBlock',
+        start: first ? first.start : end,
+        end,
+        children: convertBlockNodes(nodes, text),
+    };
+}
+
+function convertAwaitBlock(node: any, text: string): any {
+    const afterExpression = text.indexOf('}', node.expression.end) + 1;
+    // like in Svelte 3 and 4, a branch without content spans the tag that starts it
+    const branch = (type: string, fragment: any, start: number | null, end: number | null) => ({
+        type,
+        start,
+        end,
+        children: fragment ? convertNodes(fragment.nodes, text) : [],
+        skip: !fragment,
+    });
+    const nodesOf = (fragment: any): any[] => (fragment ? fragment.nodes : []);
+    const startOf = (fragment: any) => {
+        const nodes = nodesOf(fragment);
+        return nodes.length > 0 ? nodes[0].start : null;
+    };
+    const endOf = (fragment: any) => {
+        const nodes = nodesOf(fragment);
+        return nodes.length > 0 ? nodes[nodes.length - 1].end : null;
+    };
+
+    let pendingEnd: number | null = null;
+    let pending = branch('PendingBlock', null, null, null);
+    if (node.pending) {
+        const start = firstOf(startOf(node.pending), afterExpression);
+        pendingEnd = firstOf(endOf(node.pending), start);
+        pending = branch('PendingBlock', node.pending, start, pendingEnd);
+    }
+
+    let thenEnd: number | null = null;
+    let then = branch('ThenBlock', null, null, null);
+    if (node.then) {
+        const start = firstOf(pendingEnd, startOf(node.then), afterExpression);
+        thenEnd = firstOf(
+            endOf(node.then),
+            text.lastIndexOf('}', firstOf(pendingEnd, node.expression.end)) + 1,
+        );
+        then = branch('ThenBlock', node.then, start, thenEnd);
+    }
+
+    let catchBlock = branch('CatchBlock', null, null, null);
+    if (node.catch) {
+        const start = firstOf(thenEnd, pendingEnd, startOf(node.catch), afterExpression);
+        const end = firstOf(
+            endOf(node.catch),
+            text.lastIndexOf('}', firstOf(thenEnd, pendingEnd, node.expression.end)) + 1,
+        );
+        catchBlock = branch('CatchBlock', node.catch, start, end);
+    }
+
+    return {
+        type: 'AwaitBlock',
+        start: node.start,
+        end: node.end,
+        expression: node.expression,
+        value: node.value,
+        error: node.error,
+        pending,
+        then,
+        catch: catchBlock,
+    };
+}
+
+function firstOf(...values: (number | null)[]): number {
+    return values.find(value => value !== null) as number;
+}
+
+/**
+ * The blocks of Svelte 3 and 4 leave out the whitespace at the start and the end of their content.
+ */
+function convertBlockNodes(nodes: any[], text: string): any[] {
+    const children = convertNodes(nodes, text);
+    const first = children[0];
+    if (first && first.type === 'Text') {
+        if (first.data.trim() === '') {
+            children.shift();
+        } else {
+            children[0] = { ...first, data: first.data.replace(/^\s+/, '') };
+        }
+    }
+
+    const last = children[children.length - 1];
+    if (last && last.type === 'Text') {
+        if (last.data.trim() === '') {
+            children.pop();
+        } else {
+            children[children.length - 1] = { ...last, data: last.data.replace(/\s+$/, '') };
+        }
+    }
+
+    return children;
+}
+
+// the compiler keeps its own analysis of a node in `metadata`
+function copy(node: any): any {
+    const result = { ...node };
+    delete result.metadata;
+    return result;
+}
@@ -0,0 +1,76 @@
+import { blankTagContent } from './blankTagContent';
+import { fromModernAst } from './modernAst';
+
+/**
+ * Parses a component with the installed svelte compiler. The content of `<script>` and `<style>`
+ * tags, and of the given custom blocks, is blanked first, as it is formatted by other parsers and
+ * may not be valid JavaScript.
+ *
+ * Svelte 5 parses the component into its "modern" AST, which is converted into the AST of
+ * Svelte 3 and 4 that the printer is written against (see `fromModernAst`).
+ */
+export function parseSvelte(text: string, customBlocks: string[] = []) {
+    const compiler = require('svelte/compiler');
+    const majorVersion = parseInt(compiler.VERSION, 10);
+    const blankedText = blankTagContent(text, customBlocks);
+    let ast: any;
+    if (majorVersion >= 5) {
+        ast = fromModernAst(compiler.parse(blankedText, { modern: true }), blankedText);
+    } else {
+        ast = compiler.parse(blankedText);
+        for (const script of [ast.module, ast.instance]) {
+            if (script) {
+                script.attributes = parseScriptAttributes(compiler, blankedText, script);
+            }
+        }
+    }
+    extractCustomBlocks(ast, customBlocks);
+    prepareSections(ast);
+    return ast;
+}
+
+/**
+ * The svelte compiler before Svelte 5 doesn't keep the attributes of top-level `<script>` tags, but
+ * it does those of `<style>` tags. So the opening tag is parsed again as the one of a `<style>`, in
+ * the same place as in the component.
+ */
+function parseScriptAttributes(compiler: any, text: string, script: any) {
+    const openingTag = text.slice(script.start, script.content.start);
+    const styleTag =
+        ' '.repeat(script.start + '<script'.length - '<style'.length) +
+        '<style' +
+        openingTag.slice('<script'.length) +
+        '</style>';
+    return compiler.parse(styleTag).css.attributes;
+}
+
+/**
+ * Takes the top-level custom blocks out of the markup into `customBlocks`, the same way the svelte
+ * compiler takes out the top-level `<script>` and `<style>` tags.
+ */
+function extractCustomBlocks(ast: any, customBlocks: string[]) {
+    const isCustomBlock = (node: any) =>
+        node.type === 'Element' && customBlocks.indexOf(node.name) !== -1;
+
+    ast.customBlocks = ast.html.children
+        .filter(isCustomBlock)
+        .map((node: any) => ({ ...node, type: 'CustomBlock' }));
+    ast.html.children = ast.html.children.filter((node: any) => !isCustomBlock(node));
+}
+
+/**
+ * Gives the top-level `<script>` and `<style>` tags the same node types in every version of the
+ * compiler.
+ */
+function prepareSections(ast: any) {
+    for (const script of [ast.module, ast.instance]) {
+        if (script) {
+            script.type = 'Script';
+        }
+    }
+
+    if (ast.css) {
+        ast.css.type = 'Style';
+        ast.css.content.type = 'StyleProgram';
+    }
+}
@@ -0,0 +1,34 @@
+import { parseSvelte } from './parseSvelte';
+
+const htmlPragma = /^\s*<!--\s*@(format|prettier)\s*-->/;
+const scriptPragma = /^\s*\/\*((?!\*\/)[^])*@(format|prettier)\b/;
+
+/**
+ * Checks for a `<!-- @format -->` or `<!-- @prettier -->` comment at the top of the file, or a
+ * `/** @format *\/` comment at the top of the instance `<script>`.
+ */
+export function hasPragma(text: string): boolean {
+    if (htmlPragma.test(text)) {
+        return true;
+    }
+
+    let ast;
+    try {
+        ast = parseSvelte(text);
+    } catch (err) {
+        return false;
+    }
+
+    const instance = ast.instance;
+    return (
+        !!instance && scriptPragma.test(text.slice(instance.content.start, instance.content.end))
+    );
+}
+
+export function insertPragma(text: string): string {
+    return '<!-- @format -->\n\n' + text.replace(/^\s*\n/, '');
+}
+
+export function isPragmaComment(data: string): boolean {
+    return /^\s*@(format|prettier)\s*$/.test(data);
+}
@@ -0,0 +1,376 @@
+import { ParserOptions } from 'prettier';
+import { Node } from '../print/nodes';
+import { parseSvelte } from './parseSvelte';
+import { getBuiltinParser, getPrettier } from './compat';
+import { getTagContent, getTagParser } from '../embed';
+import { isPreformattedElement } from '../print/helpers';
+import { parseCustomBlocks } from '../options';
+
+/**
+ * Prettier only finds the nodes covered by `--range-start`/`--range-end` in the languages it has
+ * built in, and formats nothing of any other file. The `preprocess` of a parser is the one place
+ * where a plugin can still change the text of a range, so the range is formatted there, by the
+ * prettier that runs the plugin:
+ *
+ * - A range within the content of a `<script>` is passed on to prettier's own range formatting of
+ *   the script, and a range within a `<style>` formats the rules it covers.
+ * - Otherwise the sibling nodes of the template that cover the range are formatted as a component
+ *   of their own, indented like the first of them.
+ *
+ * Returns the text unchanged when the options have no range, and a promise of the text under
+ * prettier 3, whose `format` is asynchronous.
+ */
+export function formatRange(text: string, options: ParserOptions): string | Promise<string> {
+    const hasRange = options.rangeStart > 0 || options.rangeEnd < text.length;
+    // embedded components are formatted with the range of the file around them
+    if (!hasRange || (options as any).parentParser) {
+        return text;
+    }
+
+    // the range doesn't start or end with whitespace
+    let start = options.rangeStart;
+    let end = Math.min(options.rangeEnd, text.length);
+    while (start < end && /\s/.test(text[start])) {
+        start++;
+    }
+    while (end > start && /\s/.test(text[end - 1])) {
+        end--;
+    }
+
+    let nodes: Node[] | null;
+    try {
+        const customBlocks = Object.keys(parseCustomBlocks(options.svelteCustomBlocks || ''));
+        nodes = findRangeNodes(parseSvelte(text, customBlocks), start, end, options);
+    } catch (err) {
+        // the error is reported by `parse`
+        return text;
+    }
+    if (!nodes) {
+        return text;
+    }
+
+    const content = nodes.length === 1 ? getScriptOrStyleContent(nodes[0]) : undefined;
+    if (content && start >= content.start && end <= content.end) {
+        const parser = getTagParser(content.tag, nodes[0] as any);
+        if (!parser) {
+            // content in a language prettier can't format is kept as written
+            return text;
+        }
+        return content.tag === 'script'
+            ? formatScriptRange(text, content, parser, start, end, options)
+            : formatStyleRange(text, content, parser, start, end, options);
+    }
+
+    return formatSlice(text, nodes[0].start, nodes[nodes.length - 1].end, 'svelte', options);
+}
+
+interface TagContent {
+    tag: string;
+    start: number;
+    end: number;
+}
+
+function getScriptOrStyleContent(node: Node): TagContent | undefined {
+    const tag =
+        node.type === 'Script'
+            ? 'script'
+            : node.type === 'Style'
+            ? 'style'
+            : node.type === 'Element' && (node.name === 'script' || node.name === 'style')
+            ? node.name
+            : null;
+    const content = tag ? getTagContent(node) : undefined;
+    return tag && content ? { tag, start: content.start, end: content.end } : undefined;
+}
+
+/**
+ * Prettier formats the statements of the script that the range covers, and keeps the rest of it.
+ */
+function formatScriptRange(
+    text: string,
+    content: TagContent,
+    parser: string,
+    start: number,
+    end: number,
+    options: ParserOptions,
+) {
+    const cursorOffset: number = (options as any).cursorOffset;
+    const hasCursor = cursorOffset >= content.start && cursorOffset < content.end;
+    const result = getPrettier().formatWithCursor(text.slice(content.start, content.end), {
+        ...getFormatOptions(options),
+        parser,
+        rangeStart: start - content.start,
+        rangeEnd: end - content.start,
+        cursorOffset: hasCursor ? cursorOffset - content.start : -1,
+    });
+
+    return andThen(result, (formatted: Formatted) =>
+        replaceRange(text, content.start, content.end, formatted.formatted, options, {
+            hasCursor,
+            cursorOffset: formatted.cursorOffset,
+        }),
+    );
+}
+
+/**
+ * Prettier doesn't format ranges of CSS, so the top-level rules of the style that the range covers
+ * are formatted on their own.
+ */
+function formatStyleRange(
+    text: string,
+    content: TagContent,
+    parser: string,
+    start: number,
+    end: number,
+    options: ParserOptions,
+) {
+    const css = getBuiltinParser(parser as 'css' | 'scss' | 'less', options);
+    const ast = css.parse(text.slice(content.start, content.end), {}, {} as any);
+
+    return andThen(ast, (root: any) => {
+        const rules: { start: number; end: number }[] = root.nodes
+            .map((rule: any) => ({
+                start: content.start + css.locStart(rule),
+                end: content.start + css.locEnd(rule),
+            }))
+            .filter((rule: { start: number; end: number }) => rule.start < end && rule.end > start);
+
+        return rules.length === 0
+            ? text
+            : formatSlice(text, rules[0].start, rules[rules.length - 1].end, parser, options);
+    });
+}
+
+/**
+ * Formats the text between `start` and `end` on its own, indented like its first line.
+ */
+function formatSlice(
+    text: string,
+    start: number,
+    end: number,
+    parser: string,
+    options: ParserOptions,
+) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const indentation = text.slice(lineStart, start).match(/^[ \t]*/)![0];
+    const cursorOffset: number = (options as any).cursorOffset;
+    const hasCursor = cursorOffset >= start && cursorOffset < end;
+
+    const result = getPrettier().formatWithCursor(text.slice(start, end), {
+        ...getFormatOptions(options),
+        parser,
+        printWidth: options.printWidth - getAlignmentSize(indentation, options.tabWidth),
+        cursorOffset: hasCursor ? cursorOffset - start : -1,
+        // the sections stay where they are, whatever the sort order
+        svelteSortOrder: 'none',
+    });
+
+    return andThen(result, (formatted: Formatted) => {
+        const replacement = indent(formatted.formatted.replace(/\s+$/, ''), indentation);
+        const before = formatted.formatted.slice(0, formatted.cursorOffset);
+        return replaceRange(text, start, end, replacement, options, {
+            hasCursor,
+            cursorOffset: indent(before, indentation).length,
+        });
+    });
+}
+
+interface Formatted {
+    formatted: string;
+    cursorOffset: number;
+}
+
+/**
+ * Puts the formatted text in place of the source between `start` and `end`.
+ *
+ * Prettier reads the range and the cursor from its copy of the options for this call once the text
+ * is preprocessed. The range is moved onto the replacement, in which prettier finds nothing to
+ * format, and the cursor is moved along with the text around it.
+ */
+function replaceRange(
+    text: string,
+    start: number,
+    end: number,
+    replacement: string,
+    options: ParserOptions,
+    cursor: { hasCursor: boolean; cursorOffset: number },
+): string {
+    const cursorOffset: number = (options as any).cursorOffset;
+    options.rangeStart = start;
+    options.rangeEnd = start + replacement.length;
+    if (cursor.hasCursor) {
+        (options as any).cursorOffset = start + cursor.cursorOffset;
+    } else if (cursorOffset >= end) {
+        (options as any).cursorOffset = cursorOffset + replacement.length - (end - start);
+    }
+
+    return text.slice(0, start) + replacement + text.slice(end);
+}
+
+/**
+ * Calls the callback with the value, or with the value of the promise under prettier 3.
+ */
+function andThen<T, U>(
+    value: T | Promise<T>,
+    callback: (value: T) => U | Promise<U>,
+): U | Promise<U> {
+    return value && typeof (value as any).then === 'function'
+        ? (value as Promise<T>).then(callback)
+        : callback(value as T);
+}
+
+// options that prettier sets for the parser and printer of a file, and those of the range itself
+const INTERNAL_OPTIONS = [
+    'astFormat',
+    'locStart',
+    'locEnd',
+    'printer',
+    'getVisitorKeys',
+    'originalText',
+    'parentParser',
+    'rangeStart',
+    'rangeEnd',
+    'cursorOffset',
+];
+
+function getFormatOptions(options: ParserOptions): Record<string, any> {
+    const formatOptions: Record<string, any> = {};
+    Object.keys(options)
+        .filter(key => INTERNAL_OPTIONS.indexOf(key) === -1)
+        .forEach(key => (formatOptions[key] = (options as any)[key]));
+    return {
+        ...formatOptions,
+        requirePragma: false,
+        insertPragma: false,
+        endOfLine: 'lf',
+    };
+}
+
+function getAlignmentSize(indentation: string, tabWidth: number): number {
+    return indentation.split('').reduce((size, char) => size + (char === '\t' ? tabWidth : 1), 0);
+}
+
+function indent(text: string, indentation: string): string {
+    return text
+        .split('\n')
+        .map((line, i) => (i === 0 || line === '' ? line : indentation + line))
+        .join('\n');
+}
+
+/**
+ * Returns the sibling nodes that cover the range, as deep in the template as possible, or `null`
+ * if there are none or they are in a `prettier-ignore-start` range.
+ */
+function findRangeNodes(
+    ast: any,
+    start: number,
+    end: number,
+    options: ParserOptions,
+): Node[] | null {
+    const sections = [ast.module, ast.instance, ast.css, ...ast.customBlocks].filter(Boolean);
+    const topLevel = [...ast.html.children, ...sections].sort((a, b) => a.start - b.start);
+    return findSiblings(topLevel, start, end, options);
+}
+
+function findSiblings(
+    siblings: Node[],
+    start: number,
+    end: number,
+    options: ParserOptions,
+): Node[] | null {
+    const covered = siblings.filter(
+        node => node.start < end && node.end > start && !isBlankText(node),
+    );
+    if (covered.length === 0) {
+        return null;
+    }
+
+    if (covered.length === 1) {
+        for (const children of getChildLists(covered[0], options)) {
+            const first = children[0];
+            const last = children[children.length - 1];
+            if (first && start >= first.start && end <= last.end) {
+                const nodes = findSiblings(children, start, end, options);
+                if (nodes) {
+                    return nodes;
+                }
+            }
+        }
+    }
+
+    return withIgnoreComments(siblings, covered);
+}
+
+/**
+ * Takes in the `<!-- prettier-ignore -->` comment before the nodes, so the node after it is still
+ * kept as written.
+ */
+function withIgnoreComments(siblings: Node[], nodes: Node[]): Node[] | null {
+    let isIgnoredRange = false;
+    let previous: Node | null = null;
+    for (const sibling of siblings) {
+        if (sibling === nodes[0]) {
+            break;
+        }
+        if (sibling.type === 'Comment') {
+            const directive = sibling.data.trim();
+            if (directive === 'prettier-ignore-start') {
+                isIgnoredRange = true;
+            } else if (directive === 'prettier-ignore-end') {
+                isIgnoredRange = false;
+            }
+        }
+        if (!isBlankText(sibling)) {
+            previous = sibling;
+        }
+    }
+
+    if (isIgnoredRange) {
+        return null;
+    }
+    return previous && previous.type === 'Comment' && previous.data.trim() === 'prettier-ignore'
+        ? [previous, ...nodes]
+        : nodes;
+}
+
+/**
+ * Returns the lists of child nodes of a node that can be formatted as a component of their own.
+ * The content of `<script>`, `<style>`, custom blocks and preformatted elements isn't, and an
+ * `{:else if}` branch stands for the children of its `{#if}`.
+ */
+function getChildLists(node: Node, options: ParserOptions): Node[][] {
+    const lists: Node[][] = [];
+    if (
+        node.type === 'Script' ||
+        node.type === 'Style' ||
+        node.type === 'CustomBlock' ||
+        (node.type === 'Element' &&
+            (node.name === 'script' ||
+                node.name === 'style' ||
+                parseCustomBlocks(options.svelteCustomBlocks).hasOwnProperty(node.name))) ||
+        isPreformattedElement(node, options)
+    ) {
+        return lists;
+    }
+
+    const children: Node[] | undefined = (node as any).children;
+    if (Array.isArray(children)) {
+        const elseIf = children.find(child => child.type === 'IfBlock' && !!child.elseif);
+        if (elseIf) {
+            lists.push(...getChildLists(elseIf, options));
+        } else {
+            lists.push(children);
+        }
+    }
+    for (const key of ['else', 'pending', 'then', 'catch']) {
+        const branch = (node as any)[key];
+        if (branch && typeof branch === 'object') {
+            lists.push(...getChildLists(branch, options));
+        }
+    }
+    return lists;
+}
+
+function isBlankText(node: Node): boolean {
+    return node.type === 'Text' && node.data.trim() === '';
+}
@@ -0,0 +1,289 @@
+import { ParserOptions } from 'prettier';
+import { Node } from '../print/nodes';
+import { parseSvelte } from './parseSvelte';
+import { parseCustomBlocks } from '../options';
+import { isInlineNode, isPreformattedElement, isWhitespaceSensitive } from '../print/helpers';
+
+// source positions and formatting details that don't change what a component renders
+const IGNORED_KEYS = [
+    'start',
+    'end',
+    'loc',
+    'name_loc',
+    'raw',
+    'leadingComments',
+    'trailingComments',
+];
+
+/**
+ * Parses both the source and the formatted component and throws if their ASTs differ in a way
+ * that could change what the component renders. The content of `<script>` and `<style>` tags, and
+ * of custom blocks, is left to prettier's own printers and not compared.
+ */
+export function verify(originalText: string, formattedText: string, options: ParserOptions) {
+    const customBlocks = Object.keys(parseCustomBlocks(options.svelteCustomBlocks));
+    const expected = normalize(parseSvelte(originalText, customBlocks), options);
+
+    let actual: any;
+    try {
+        actual = normalize(parseSvelte(formattedText, customBlocks), options);
+    } catch (err) {
+        throw new Error(`svelteVerify: the formatted component can't be parsed: ${err.message}`);
+    }
+
+    const difference = findDifference(expected, actual, 'ast');
+    if (difference) {
+        throw new Error(
+            `svelteVerify: the formatted component differs from the source at ${difference.path}` +
+                ` (expected ${describe(difference.expected)}, got ${describe(difference.actual)})`,
+        );
+    }
+}
+
+function normalize(ast: any, options: ParserOptions) {
+    // comments before a top-level `<script>` or `<style>` move along with it
+    const html = ast.html;
+    const comments = html.children
+        .filter((child: Node) => child.type === 'Comment')
+        .map((comment: Node & { data: string }) => comment.data.trim())
+        .sort();
+    // `<svelte:options>` is moved out of the markup by the `options` part of `svelteSortOrder`,
+    // like the sections the compiler already takes out of it
+    const svelteOptions = html.children.filter((child: Node) => child.type === 'Options');
+    html.children = html.children.filter(
+        (child: Node) => child.type !== 'Comment' && child.type !== 'Options',
+    );
+
+    return {
+        html: normalizeNode(html, options, false),
+        comments,
+        options: normalizeNode(svelteOptions, options, false),
+        instance: ast.instance && normalizeNode(ast.instance.attributes, options, false),
+        module: ast.module && normalizeNode(ast.module.attributes, options, false),
+        css: ast.css && normalizeNode(ast.css.attributes, options, false),
+        customBlocks: ast.customBlocks.map(
+            (block: Node & { name: string; attributes: Node[] }) => ({
+                name: block.name,
+                attributes: normalizeNode(block.attributes, options, false),
+            }),
+        ),
+    };
+}
+
+function normalizeNode(value: any, options: ParserOptions, isPreformatted: boolean): any {
+    if (Array.isArray(value)) {
+        return value.map(item => normalizeNode(item, options, isPreformatted));
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const node = value;
+    const result: Record<string, any> = {};
+    for (const key of Object.keys(node)) {
+        if (IGNORED_KEYS.indexOf(key) !== -1) {
+            continue;
+        }
+
+        if (key === 'children' && !isPreformatted) {
+            result.children = normalizeChildren(node, options);
+        } else if (key === 'attributes') {
+            result.attributes = normalizeAttributes(node.attributes, options);
+        } else if (key === 'value' && node.type === 'TemplateElement') {
+            result.value = node.value.cooked;
+        } else {
+            result[key] = normalizeNode(
+                node[key],
+                options,
+                isPreformatted || isPreformattedElement(node, options),
+            );
+        }
+    }
+
+    switch (node.type) {
+        // `{#await p}{:then}` is printed without the empty pending block
+        case 'PendingBlock':
+            result.skip = !!result.skip || result.children.length === 0;
+            break;
+        // `a={a}` is printed as `{a}`
+        case 'AttributeShorthand':
+            result.type = 'MustacheTag';
+            break;
+        // `style:a={a}` is printed as `style:a`
+        case 'StyleDirective':
+            if (result.value === true) {
+                result.value = [
+                    { type: 'MustacheTag', expression: { type: 'Identifier', name: node.name } },
+                ];
+            }
+            break;
+        // `let:a={a}` is printed as `let:a`
+        case 'Let':
+            if (!result.expression) {
+                result.expression = { type: 'Identifier', name: node.name };
+            }
+            break;
+    }
+
+    return result;
+}
+
+/**
+ * Whitespace is collapsed, and dropped next to siblings that aren't laid out inline, the same way
+ * the printer treats it for the configured `svelteHtmlWhitespaceSensitivity`.
+ */
+function normalizeChildren(parent: Node & { children: Node[] }, options: ParserOptions) {
+    const isPreformatted = isPreformattedElement(parent, options);
+    const isSensitive = isWhitespaceSensitive(parent, options);
+    const children: Node[] = [];
+    parent.children.forEach(child => {
+        const previous = children[children.length - 1];
+        if (previous && previous.type === 'Text' && child.type === 'Text') {
+            children[children.length - 1] = { ...previous, data: previous.data + child.data };
+        } else {
+            children.push(child);
+        }
+    });
+
+    const result: any[] = [];
+    children.forEach((child, i) => {
+        if (child.type !== 'Text' || isPreformatted) {
+            result.push(normalizeNode(child, options, isPreformatted));
+            return;
+        }
+
+        const previous = children[i - 1];
+        const next = children[i + 1];
+        let data = child.data.replace(/\s+/g, ' ');
+        if (previous ? !isInlineNode(previous, options) : !isSensitive) {
+            data = data.replace(/^ /, '');
+        }
+        if (next ? !isInlineNode(next, options) : !isSensitive) {
+            data = data.replace(/ $/, '');
+        }
+        if (data) {
+            result.push({ type: 'Text', data });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Attributes are compared regardless of their order, which `svelteAttributeSortOrder` can change,
+ * but never across a spread.
+ */
+function normalizeAttributes(attributes: Node[], options: ParserOptions) {
+    const result: any[] = [];
+    let segment: any[] = [];
+    const flushSegment = () => {
+        segment.sort((a, b) => attributeKey(a).localeCompare(attributeKey(b)));
+        result.push(...segment);
+        segment = [];
+    };
+
+    attributes.forEach(attribute => {
+        const normalized = normalizeNode(attribute, options, false);
+        if (attribute.type === 'Attribute' && attribute.name === 'class') {
+            normalized.value = normalizeTextValue(normalized.value, (data, i, parts) => {
+                const start = i === 0 ? data.replace(/^ /, '') : data;
+                return i === parts.length - 1 ? start.replace(/ $/, '') : start;
+            });
+        } else if (attribute.type === 'Attribute' && attribute.name === 'style') {
+            // the declarations are formatted as CSS, so only their tokens are compared
+            normalized.value = normalizeTextValue(normalized.value, data =>
+                data
+                    .replace(/\s+/g, '')
+                    .replace(/;$/, '')
+                    .replace(/"/g, "'"),
+            );
+        }
+
+        if (attribute.type === 'Spread') {
+            flushSegment();
+            result.push(normalized);
+        } else {
+            segment.push(normalized);
+        }
+    });
+    flushSegment();
+
+    return result;
+}
+
+function normalizeTextValue(
+    value: any,
+    normalizeData: (data: string, index: number, parts: any[]) => string,
+) {
+    if (!Array.isArray(value)) {
+        return value;
+    }
+
+    return value
+        .map((part, i) =>
+            part.type === 'Text'
+                ? { ...part, data: normalizeData(part.data.replace(/\s+/g, ' '), i, value) }
+                : part,
+        )
+        .filter(part => part.type !== 'Text' || part.data !== '');
+}
+
+function attributeKey(attribute: any): string {
+    return `${attribute.type}:${attribute.name}`;
+}
+
+interface Difference {
+    path: string;
+    expected: any;
+    actual: any;
+}
+
+function findDifference(expected: any, actual: any, path: string): Difference | null {
+    if (expected === actual) {
+        return null;
+    }
+
+    if (
+        !expected ||
+        !actual ||
+        typeof expected !== 'object' ||
+        typeof actual !== 'object' ||
+        Array.isArray(expected) !== Array.isArray(actual)
+    ) {
+        return { path, expected, actual };
+    }
+
+    if (Array.isArray(expected)) {
+        const length = Math.max(expected.length, actual.length);
+        for (let i = 0; i < length; i++) {
+            const difference = findDifference(expected[i], actual[i], `${path}[${i}]`);
+            if (difference) {
+                return difference;
+            }
+        }
+        return null;
+    }
+
+    if (expected.type !== actual.type) {
+        return { path, expected, actual };
+    }
+
+    const keys = Object.keys(expected).concat(
+        Object.keys(actual).filter(key => !(key in expected)),
+    );
+    for (const key of keys) {
+        const difference = findDifference(expected[key], actual[key], `${path}.${key}`);
+        if (difference) {
+            return difference;
+        }
+    }
+    return null;
+}
+
+function describe(value: any): string {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value.type ? `a ${value.type} node` : 'an object';
+    }
+    return JSON.stringify(value);
+}
@@ -5,49 +5,373 @@ declare module 'prettier' {
 }
 
 export interface PluginOptions {
-    svelteSortOrder: SortOrder;
+    svelteSortOrder: string;
     svelteStrictMode: boolean;
     svelteBracketNewLine: boolean;
+    svelteHtmlWhitespaceSensitivity: WhitespaceSensitivity;
+    svelteAttributeSortOrder: string;
+    svelteFormatStyleAndClass: boolean;
+    svelteFailOnUnknownNodes: boolean;
+    svelteMarkupQuotes: MarkupQuotes;
+    svelteVerify: boolean;
+    svelteSelfClosingElements: SelfClosing | 'inherit';
+    svelteSelfClosingVoidElements: SelfClosing;
+    svelteSelfClosingComponents: SelfClosing;
+    svelteAttributeExpressionQuotes: ExpressionQuotes;
+    svelteShorthand: Shorthand;
+    svelteCustomBlocks: string;
 }
 
 export const options: Record<keyof PluginOptions, SupportOption> = {
-    svelteSortOrder: {
-        type: 'choice',
+    svelteSortOrder: stringOption({
         default: 'scripts-styles-markup',
-        description: 'Sort order for scripts, styles, and markup',
-        choices: [
-            { value: 'scripts-styles-markup' },
-            { value: 'scripts-markup-styles' },
-            { value: 'markup-styles-scripts' },
-            { value: 'markup-scripts-styles' },
-            { value: 'styles-markup-scripts' },
-            { value: 'styles-scripts-markup' },
-        ],
-    },
+        description:
+            'Sort order for the sections of a component: `none` to keep the source order, or a ' +
+            'dash-separated list of: options, module, instance, scripts, styles, markup, blocks',
+    }),
     svelteStrictMode: {
         type: 'boolean',
         default: false,
-        description: 'More strict HTML syntax: self-closed tags, quotes in attributes',
+        description:
+            'More strict HTML syntax: self-closed tags, quotes in attributes. Sets the default of ' +
+            'svelteSelfClosingElements and svelteAttributeExpressionQuotes',
     },
     svelteBracketNewLine: {
         type: 'boolean',
         default: false,
         description: 'Put the `>` of a multiline element on a new line',
     },
+    svelteHtmlWhitespaceSensitivity: {
+        type: 'choice',
+        default: 'css',
+        description: 'How to handle whitespace around and inside elements',
+        choices: [
+            {
+                value: 'css',
+                description: 'Respect the default value of CSS display property',
+            },
+            {
+                value: 'strict',
+                description: 'Whitespace (or the lack of it) around all elements is significant',
+            },
+            {
+                value: 'ignore',
+                description: 'Whitespace (or the lack of it) around all elements is insignificant',
+            },
+        ],
+    },
+    svelteAttributeSortOrder: stringOption({
+        default: 'none',
+        description:
+            'Sort order for attributes and directives: `none`, `standard`, or a comma-separated ' +
+            'list of: this, attributes, let, bind, on, use, class, transition, animate',
+    }),
+    svelteFormatStyleAndClass: {
+        type: 'boolean',
+        default: true,
+        description:
+            'Format the CSS in `style` attributes and collapse whitespace in `class` attributes',
+    },
+    svelteFailOnUnknownNodes: {
+        type: 'boolean',
+        default: false,
+        description:
+            'Throw an error on syntax the printer does not know instead of keeping it as is',
+    },
+    svelteMarkupQuotes: {
+        type: 'choice',
+        default: 'inherit',
+        description: 'Quotes used for strings in template expressions',
+        choices: [
+            {
+                value: 'inherit',
+                description: 'Follow the `singleQuote` option',
+            },
+            {
+                value: 'single',
+                description: 'Prefer single quotes',
+            },
+            {
+                value: 'double',
+                description: 'Prefer double quotes',
+            },
+        ],
+    },
+    svelteVerify: {
+        type: 'boolean',
+        default: false,
+        description: 'Check that the formatted markup parses to the same AST as the source',
+    },
+    svelteSelfClosingElements: {
+        type: 'choice',
+        default: 'inherit',
+        description: 'Whether empty HTML elements are self-closed, e.g. `<div />`',
+        choices: [
+            {
+                value: 'inherit',
+                description: 'Self-close unless `svelteStrictMode` is set',
+            },
+            ...selfClosingChoices(),
+        ],
+    },
+    svelteSelfClosingVoidElements: {
+        type: 'choice',
+        default: 'always',
+        description: 'Whether void HTML elements are self-closed, e.g. `<br />`',
+        choices: selfClosingChoices(),
+    },
+    svelteSelfClosingComponents: {
+        type: 'choice',
+        default: 'always',
+        description:
+            'Whether empty components, `<slot>` and `svelte:` elements are self-closed, e.g. `<Foo />`',
+        choices: selfClosingChoices(),
+    },
+    svelteAttributeExpressionQuotes: {
+        type: 'choice',
+        default: 'inherit',
+        description: 'Whether expressions used as attribute values are quoted, e.g. `a="{b}"`',
+        choices: [
+            {
+                value: 'inherit',
+                description: 'Quote when `svelteStrictMode` is set',
+            },
+            {
+                value: 'always',
+                description: 'Always quote expressions',
+            },
+            {
+                value: 'never',
+                description: 'Never quote expressions',
+            },
+            {
+                value: 'preserve',
+                description: 'Quote expressions that are quoted in the source',
+            },
+        ],
+    },
+    svelteShorthand: {
+        type: 'choice',
+        default: 'collapse',
+        description:
+            'Whether attributes and directives whose value is the variable of the same name use ' +
+            'the shorthand, e.g. `{value}` and `bind:value`',
+        choices: [
+            {
+                value: 'collapse',
+                description: 'Always use the shorthand',
+            },
+            {
+                value: 'expand',
+                description: 'Never use the shorthand, e.g. `value={value}`',
+            },
+            {
+                value: 'preserve',
+                description: 'Use the shorthand where the source does',
+            },
+        ],
+    },
+    svelteCustomBlocks: stringOption({
+        default: '',
+        description:
+            'Top-level blocks besides `<script>` and `<style>`, and how to format them: a ' +
+            'comma-separated list of `tag:parser`, where the parser is one of: json, markdown, ' +
+            'graphql, yaml, verbatim',
+    }),
 };
 
-export type SortOrder =
-    | 'scripts-styles-markup'
-    | 'scripts-markup-styles'
-    | 'markup-styles-scripts'
-    | 'markup-scripts-styles'
-    | 'styles-markup-scripts'
-    | 'styles-scripts-markup';
+// prettier has no plain string option type, `path` is the closest one
+function stringOption(option: { default: string; description: string }): SupportOption {
+    return { type: 'path', ...option } as SupportOption;
+}
+
+function selfClosingChoices() {
+    return [
+        {
+            value: 'always',
+            description: 'Always self-close',
+        },
+        {
+            value: 'never',
+            description: 'Never self-close',
+        },
+        {
+            value: 'preserve',
+            description: 'Self-close elements that are self-closed in the source',
+        },
+    ];
+}
+
+export type SelfClosing = 'always' | 'never' | 'preserve';
+
+export type ExpressionQuotes = 'inherit' | 'always' | 'never' | 'preserve';
 
-export type SortOrderPart = 'scripts' | 'markup' | 'styles';
+export type MarkupQuotes = 'inherit' | 'single' | 'double';
+
+export type Shorthand = 'collapse' | 'expand' | 'preserve';
+
+export type WhitespaceSensitivity = 'css' | 'strict' | 'ignore';
+
+export type SortOrderPart = 'options' | 'module' | 'instance' | 'styles' | 'markup' | 'blocks';
+
+const sortOrderParts: SortOrderPart[] = [
+    'options',
+    'module',
+    'instance',
+    'styles',
+    'markup',
+    'blocks',
+];
+
+// every section of a component is printed somewhere, only `<svelte:options>` can stay in the markup
+// and custom blocks go last
+const requiredSortOrderParts: SortOrderPart[] = ['module', 'instance', 'styles', 'markup'];
 
 const sortOrderSeparator = '-';
 
-export function parseSortOrder(sortOrder: SortOrder): SortOrderPart[] {
-    return sortOrder.split(sortOrderSeparator) as SortOrderPart[];
+/**
+ * Returns the sections of a component in the order they should be printed, or `null` if they
+ * should be printed in source order. `scripts` stands for `module` followed by `instance`, and
+ * custom blocks go last unless `blocks` is listed.
+ */
+export function parseSortOrder(sortOrder: string): SortOrderPart[] | null {
+    sortOrder = sortOrder.trim();
+    if (sortOrder === 'none') {
+        return null;
+    }
+
+    const parts: SortOrderPart[] = [];
+    sortOrder
+        .split(sortOrderSeparator)
+        .map(part => part.trim())
+        .forEach(part => {
+            const names = part === 'scripts' ? ['module', 'instance'] : [part];
+            names.forEach(name => {
+                if (sortOrderParts.indexOf(name as SortOrderPart) === -1) {
+                    throw new Error(
+                        `Invalid svelteSortOrder "${sortOrder}": unknown part "${part}", ` +
+                            `expected one of ${sortOrderParts.join(', ')}, scripts`,
+                    );
+                }
+                if (parts.indexOf(name as SortOrderPart) !== -1) {
+                    throw new Error(
+                        `Invalid svelteSortOrder "${sortOrder}": "${name}" is listed twice`,
+                    );
+                }
+                parts.push(name as SortOrderPart);
+            });
+        });
+
+    const missing = requiredSortOrderParts.filter(part => parts.indexOf(part) === -1);
+    if (missing.length > 0) {
+        throw new Error(
+            `Invalid svelteSortOrder "${sortOrder}": missing ${missing.join(', ')}, every ` +
+                'section of a component needs a place',
+        );
+    }
+
+    if (parts.indexOf('blocks') === -1) {
+        parts.push('blocks');
+    }
+
+    return parts;
+}
+
+export type CustomBlockParser = 'json' | 'markdown' | 'graphql' | 'yaml' | 'verbatim';
+
+const customBlockParsers: CustomBlockParser[] = ['json', 'markdown', 'graphql', 'yaml', 'verbatim'];
+
+const customBlocksSeparator = ',';
+
+/**
+ * Returns the parser for the content of each custom block, by the name of its tag. `verbatim`
+ * blocks are kept as written.
+ */
+export function parseCustomBlocks(customBlocks: string): Record<string, CustomBlockParser> {
+    customBlocks = customBlocks.trim();
+    const blocks: Record<string, CustomBlockParser> = {};
+    if (customBlocks === '') {
+        return blocks;
+    }
+
+    customBlocks.split(customBlocksSeparator).forEach(entry => {
+        const [tag, parser, ...rest] = entry.split(':').map(part => part.trim());
+        if (!/^[a-z][\w-]*$/i.test(tag) || parser === undefined || rest.length > 0) {
+            throw new Error(
+                `Invalid svelteCustomBlocks "${customBlocks}": "${entry.trim()}" is not of the ` +
+                    'form `tag:parser`',
+            );
+        }
+        if (tag === 'script' || tag === 'style') {
+            throw new Error(
+                `Invalid svelteCustomBlocks "${customBlocks}": <${tag}> is not a custom block`,
+            );
+        }
+        if (customBlockParsers.indexOf(parser as CustomBlockParser) === -1) {
+            throw new Error(
+                `Invalid svelteCustomBlocks "${customBlocks}": unknown parser "${parser}", ` +
+                    `expected one of ${customBlockParsers.join(', ')}`,
+            );
+        }
+        if (blocks.hasOwnProperty(tag)) {
+            throw new Error(
+                `Invalid svelteCustomBlocks "${customBlocks}": <${tag}> is listed twice`,
+            );
+        }
+        blocks[tag] = parser as CustomBlockParser;
+    });
+
+    return blocks;
+}
+
+export type AttributeKind =
+    | 'this'
+    | 'attributes'
+    | 'let'
+    | 'bind'
+    | 'on'
+    | 'use'
+    | 'class'
+    | 'transition'
+    | 'animate';
+
+const attributeKinds: AttributeKind[] = [
+    'this',
+    'attributes',
+    'let',
+    'bind',
+    'on',
+    'use',
+    'class',
+    'transition',
+    'animate',
+];
+
+const attributeSortOrderSeparator = ',';
+
+/**
+ * Returns the attribute kinds in the order they should be printed, or `null` if attributes should
+ * be printed in source order.
+ */
+export function parseAttributeSortOrder(sortOrder: string): AttributeKind[] | null {
+    sortOrder = sortOrder.trim();
+    if (sortOrder === '' || sortOrder === 'none') {
+        return null;
+    }
+
+    if (sortOrder === 'standard') {
+        return attributeKinds;
+    }
+
+    return sortOrder.split(attributeSortOrderSeparator).map(part => {
+        const kind = part.trim() as AttributeKind;
+        if (attributeKinds.indexOf(kind) === -1) {
+            throw new Error(
+                `Invalid svelteAttributeSortOrder "${sortOrder}": unknown kind "${kind}", ` +
+                    `expected one of ${attributeKinds.join(', ')}`,
+            );
+        }
+
+        return kind;
+    });
 }
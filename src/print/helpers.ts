@@ -1,4 +1,89 @@
-import { Node, ScriptNode, InstanceScriptNode, ModuleScriptNode } from './nodes';
+import { Doc, doc, ParserOptions } from 'prettier';
+import {
+    Node,
+    ScriptNode,
+    AttributeNode,
+    TextNode,
+    ElementNode,
+    CustomBlockNode,
+    InlineComponentNode,
+} from './nodes';
+import { getText } from '../lib/getText';
+
+const { join, literalline } = doc.builders;
+
+// @see http://xahlee.info/js/html5_non-closing_tag.html
+const VOID_ELEMENTS = [
+    'area',
+    'base',
+    'br',
+    'col',
+    'embed',
+    'hr',
+    'img',
+    'input',
+    'link',
+    'meta',
+    'param',
+    'source',
+    'track',
+    'wbr',
+];
+
+// @see https://developer.mozilla.org/en-US/docs/Web/HTML/Inline_elements
+const INLINE_ELEMENTS = [
+    'a',
+    'abbr',
+    'acronym',
+    'audio',
+    'b',
+    'bdi',
+    'bdo',
+    'big',
+    'br',
+    'button',
+    'canvas',
+    'cite',
+    'code',
+    'data',
+    'dfn',
+    'em',
+    'embed',
+    'i',
+    'iframe',
+    'img',
+    'input',
+    'kbd',
+    'label',
+    'map',
+    'mark',
+    'meter',
+    'object',
+    'output',
+    'picture',
+    'progress',
+    'q',
+    's',
+    'samp',
+    'select',
+    'slot',
+    'small',
+    'span',
+    'strike',
+    'strong',
+    'sub',
+    'sup',
+    'textarea',
+    'time',
+    'tt',
+    'u',
+    'var',
+    'video',
+    'wbr',
+];
+
+// Elements whose content is rendered with its whitespace intact
+const PREFORMATTED_ELEMENTS = ['pre', 'textarea', 'code'];
 
 export interface ASTNode {
     html: Node;
@@ -12,8 +97,207 @@ export interface ASTNode {
     js?: ScriptNode;
     instance?: ScriptNode;
     module?: ScriptNode;
+    customBlocks?: CustomBlockNode[];
 }
 
 export function isASTNode(n: any): n is ASTNode {
-    return 'html' in n && 'tokens' in n;
+    return 'html' in n;
+}
+
+/**
+ * Returns the static text value of the attribute with the given name, `true` for an attribute
+ * without a value, or `undefined` if the attribute is missing or its value is dynamic.
+ */
+export function getAttributeTextValue(
+    node: Node & { attributes: Node[] },
+    name: string,
+): string | true | undefined {
+    const attribute = (node.attributes as AttributeNode[]).find(
+        n => n.type === 'Attribute' && n.name === name,
+    );
+    if (!attribute) {
+        return undefined;
+    }
+
+    if (attribute.value === true) {
+        return true;
+    }
+
+    if (!attribute.value.every(n => n.type === 'Text')) {
+        return undefined;
+    }
+
+    return (attribute.value as TextNode[]).map(n => n.data).join('');
+}
+
+/**
+ * Prints source text verbatim. Line breaks are printed as `literalline`s so that the original
+ * indentation of every line after the first one is kept as is.
+ */
+export function printRaw(text: string): Doc {
+    return join(literalline, text.split('\n'));
+}
+
+/**
+ * Returns whether the value of an attribute or directive is printed inside double quotes, in
+ * which case strings in its expressions must not use double quotes themselves.
+ */
+export function isQuotedAttributeValue(node: Node, options: ParserOptions): boolean {
+    switch (node.type) {
+        case 'Attribute':
+        case 'StyleDirective':
+            return (
+                node.value !== true &&
+                (node.value.length !== 1 ||
+                    node.value[0].type !== 'MustacheTag' ||
+                    shouldQuoteExpression(node, options))
+            );
+        case 'EventHandler':
+        case 'Binding':
+        case 'Class':
+        case 'Let':
+        case 'Transition':
+        case 'Action':
+        case 'Animation':
+        case 'InlineComponent':
+        case 'Element':
+            return shouldQuoteExpression(node, options);
+    }
+
+    return false;
+}
+
+/**
+ * Returns whether an expression that is the whole value of an attribute or directive, or the `this`
+ * of `<svelte:component>` and `<svelte:element>`, is wrapped in quotes, e.g. `on:click="{handler}"`.
+ */
+export function shouldQuoteExpression(node: Node, options: ParserOptions): boolean {
+    switch (options.svelteAttributeExpressionQuotes) {
+        case 'always':
+            return true;
+        case 'never':
+            return false;
+        case 'preserve':
+            return node.type === 'InlineComponent' || node.type === 'Element'
+                ? isThisExpressionQuoted(node, options)
+                : /^[^=]*=\s*["']/.test(getText(node, options));
+        default:
+            return options.svelteStrictMode;
+    }
+}
+
+/**
+ * Returns whether the `this` expression of `<svelte:component>` or `<svelte:element>` is written in
+ * quotes, looking only at the source between the `this` attribute and its expression.
+ */
+function isThisExpressionQuoted(node: InlineComponentNode | ElementNode, options: ParserOptions) {
+    const expression = node.type === 'InlineComponent' ? node.expression : node.tag;
+    if (!expression || typeof expression === 'string') {
+        return false;
+    }
+
+    const beforeExpression = options.originalText.slice(options.locStart(node), expression.start);
+    return /^this\s*=\s*["']/.test(beforeExpression.slice(beforeExpression.lastIndexOf('this')));
+}
+
+/**
+ * Returns whether an attribute or directive whose value is the variable of the same name, e.g.
+ * `value={value}` or `bind:value={value}`, is printed in its shorthand form.
+ */
+export function shouldUseShorthand(node: Node, options: ParserOptions): boolean {
+    switch (options.svelteShorthand) {
+        case 'expand':
+            return false;
+        case 'preserve':
+            switch (node.type) {
+                case 'Attribute':
+                    return node.value !== true && node.value[0].type === 'AttributeShorthand';
+                case 'Let':
+                    return !node.expression;
+                default:
+                    return getText(node, options).indexOf('=') === -1;
+            }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Returns whether an element without children is printed as a self-closing tag. Void elements,
+ * like `<br>`, are never printed with a closing tag.
+ */
+export function shouldSelfClose(node: Node, options: ParserOptions): boolean {
+    const mode = isVoidElement(node)
+        ? options.svelteSelfClosingVoidElements
+        : node.type === 'Element'
+        ? options.svelteSelfClosingElements
+        : options.svelteSelfClosingComponents;
+
+    switch (mode) {
+        case 'always':
+            return true;
+        case 'never':
+            return false;
+        case 'preserve':
+            return getText(node, options).endsWith('/>');
+        default:
+            return !options.svelteStrictMode;
+    }
+}
+
+export function isVoidElement(node: Node): boolean {
+    return node.type === 'Element' && VOID_ELEMENTS.indexOf(node.name) !== -1;
+}
+
+/**
+ * Returns whether strings in template expressions are printed with single quotes.
+ */
+export function useSingleQuoteInMarkup(options: ParserOptions): boolean {
+    switch (options.svelteMarkupQuotes) {
+        case 'single':
+            return true;
+        case 'double':
+            return false;
+        default:
+            return options.singleQuote;
+    }
+}
+
+export function isInlineNode(node: Node, options: ParserOptions): boolean {
+    return node.type === 'Text' || node.type === 'MustacheTag' || isInlineElement(node, options);
+}
+
+/**
+ * Elements that are laid out inline are treated like text, so no whitespace is added or removed
+ * between them and their siblings. In `strict` mode every element is considered inline, in
+ * `ignore` mode none are.
+ */
+export function isInlineElement(node: Node | undefined, options: ParserOptions): boolean {
+    if (!node || node.type !== 'Element') {
+        return false;
+    }
+
+    switch (options.svelteHtmlWhitespaceSensitivity) {
+        case 'strict':
+            return true;
+        case 'css':
+            return INLINE_ELEMENTS.indexOf(node.name) !== -1;
+        default:
+            return false;
+    }
+}
+
+export function isWhitespaceSensitive(node: Node, options: ParserOptions): node is ElementNode {
+    return (
+        node.type === 'Element' &&
+        (options.svelteHtmlWhitespaceSensitivity === 'strict' || isInlineElement(node, options))
+    );
+}
+
+export function isPreformattedElement(node: Node, options: ParserOptions): boolean {
+    return (
+        node.type === 'Element' &&
+        options.svelteHtmlWhitespaceSensitivity !== 'ignore' &&
+        PREFORMATTED_ELEMENTS.indexOf(node.name) !== -1
+    );
 }
@@ -1,22 +1,43 @@
 import { FastPath, Doc, doc, ParserOptions } from 'prettier';
-import { Node, MustacheTagNode, IfBlockNode, EachBlockNode } from './nodes';
-import { isASTNode } from './helpers';
-import { extractAttributes } from '../lib/extractAttributes';
+import {
+    Node,
+    MustacheTagNode,
+    IfBlockNode,
+    ElementNode,
+    TextNode,
+    FragmentNode,
+    PendingBlockNode,
+    ThenBlockNode,
+    CatchBlockNode,
+} from './nodes';
+import {
+    isASTNode,
+    printRaw,
+    isQuotedAttributeValue,
+    isInlineNode,
+    isInlineElement,
+    isWhitespaceSensitive,
+    isPreformattedElement,
+    shouldQuoteExpression,
+    shouldSelfClose,
+    shouldUseShorthand,
+    isVoidElement,
+} from './helpers';
 import { getText } from '../lib/getText';
-import { parseSortOrder, SortOrderPart } from '../options';
-import { hasSnippedContent, unsnipContent } from '../lib/snipTagContent';
-const {
-    concat,
-    join,
-    line,
-    group,
-    indent,
-    dedent,
-    softline,
-    hardline,
-    fill,
-    breakParent,
-} = doc.builders;
+import { isPragmaComment } from '../lib/pragma';
+import { verify } from '../lib/verify';
+import { isGetterSetterBinding } from '../lib/expressions';
+import {
+    parseSortOrder,
+    SortOrderPart,
+    parseAttributeSortOrder,
+    AttributeKind,
+    parseCustomBlocks,
+} from '../options';
+import { concat, getDocParts, propagateBreaks } from '../lib/compat';
+const { join, line, group, indent, dedent, softline, hardline, fill, breakParent } = doc.builders;
+const { mapDoc } = doc.utils;
+const { printDocToString } = doc.printer;
 
 export type PrintFn = (path: FastPath) => Doc;
 
@@ -30,24 +51,6 @@ declare module 'prettier' {
     }
 }
 
-// @see http://xahlee.info/js/html5_non-closing_tag.html
-const SELF_CLOSING_TAGS = [
-    'area',
-    'base',
-    'br',
-    'col',
-    'embed',
-    'hr',
-    'img',
-    'input',
-    'link',
-    'meta',
-    'param',
-    'source',
-    'track',
-    'wbr',
-];
-
 export function print(path: FastPath, options: ParserOptions, print: PrintFn): Doc {
     const n = path.getValue();
     if (!n) {
@@ -56,39 +59,157 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
 
     if (isASTNode(n)) {
         const parts: doc.builders.Doc[] = [];
+
+        // a pragma comment at the top of the file stays there, whatever the sort order
+        const html = n.html as FragmentNode;
+        const first = html.children[0];
+        if (
+            first &&
+            first.type === 'Comment' &&
+            isPragmaComment(first.data) &&
+            options.originalText.slice(0, first.start).trim() === ''
+        ) {
+            parts.push(concat([path.call(print, 'html', 'children', 0), hardline]));
+            html.children = trimEmptyChildren(html.children.slice(1));
+        }
+
+        const sortOrder = parseSortOrder(options.svelteSortOrder);
+        // only validated here, see `getCustomBlockNames`
+        parseCustomBlocks(options.svelteCustomBlocks);
+        // `<svelte:options>` is only taken out of the markup if the sort order places it
+        const optionsIndex =
+            sortOrder && sortOrder.indexOf('options') !== -1
+                ? html.children.findIndex(child => child.type === 'Options')
+                : -1;
+
+        /**
+         * Comments directly preceding a top-level `<script>`, `<style>` or custom block (e.g.
+         * license headers or `svelte-ignore` directives) are taken out of the markup and printed
+         * together with that section, so they move along with it when the sections are sorted.
+         */
+        const removedNodes: Node[] = [];
+        const blocks = n.customBlocks || [];
+        const sectionComments = new Map<Node, Doc>();
+        // in source order, so that every comment goes with the section it precedes
+        ([n.module, n.instance, n.css, ...blocks].filter(Boolean) as Node[])
+            .sort((a, b) => a.start - b.start)
+            .forEach(section =>
+                sectionComments.set(
+                    section,
+                    printLeadingComments(path, print, options, html, section, removedNodes),
+                ),
+            );
+        const printSection = (section: Node, name: string, ...names: (string | number)[]) =>
+            parts.push(concat([sectionComments.get(section)!, path.call(print, name, ...names)]));
+        let optionsDoc: Doc = '';
+        if (optionsIndex !== -1) {
+            const optionsNode = html.children[optionsIndex];
+            optionsDoc = concat([
+                printLeadingComments(path, print, options, html, optionsNode, removedNodes),
+                path.call(print, 'html', 'children', optionsIndex),
+                hardline,
+            ]);
+            removedNodes.push(optionsNode);
+            // the whitespace before it stays to separate the markup around it
+            const next = html.children[optionsIndex + 1];
+            if (next && isEmptyNode(next)) {
+                removedNodes.push(next);
+            }
+        }
+        html.children = trimEmptyChildren(
+            html.children.filter(child => removedNodes.indexOf(child) === -1),
+        );
+
         const addParts: Record<SortOrderPart, () => void> = {
-            scripts() {
+            options() {
+                if (optionsDoc) {
+                    parts.push(optionsDoc);
+                }
+            },
+            module() {
                 if (n.module) {
-                    n.module.type = 'Script';
-                    n.module.attributes = extractAttributes(getText(n.module, options));
-                    parts.push(path.call(print, 'module'));
+                    printSection(n.module, 'module');
                 }
+            },
+            instance() {
                 if (n.instance) {
-                    n.instance.type = 'Script';
-                    n.instance.attributes = extractAttributes(getText(n.instance, options));
-                    parts.push(path.call(print, 'instance'));
+                    printSection(n.instance, 'instance');
                 }
             },
             styles() {
                 if (n.css) {
-                    n.css.type = 'Style';
-                    n.css.content.type = 'StyleProgram';
-                    parts.push(path.call(print, 'css'));
+                    printSection(n.css, 'css');
                 }
             },
             markup() {
-                const htmlDoc = path.call(print, 'html');
-                if (htmlDoc) {
-                    parts.push(htmlDoc);
+                // prettier 3 wraps the doc of the node next to the cursor, even an empty one
+                const { children } = n.html as FragmentNode;
+                if (children.length > 0 && !children.every(isEmptyNode)) {
+                    parts.push(path.call(print, 'html'));
                 }
             },
+            blocks() {
+                blocks.forEach((block, index) => printSection(block, 'customBlocks', index));
+            },
         };
-        parseSortOrder(options.svelteSortOrder).forEach(p => addParts[p]());
-        return group(join(hardline, parts));
+
+        if (sortOrder) {
+            sortOrder.forEach(part => addParts[part]());
+        } else {
+            /**
+             * Without a sort order, the markup is split at the top-level `<script>` and `<style>`
+             * tags and custom blocks, which are printed between the pieces where they are in the
+             * source.
+             */
+            const printMarkup = (children: Node[]) => {
+                // each piece is a fragment of its own, as prettier caches the doc of every node
+                n.html = { ...html, children: trimEmptyChildren(children) };
+                addParts.markup();
+            };
+
+            const sections: [Node | undefined, () => void][] = [
+                [n.module, addParts.module],
+                [n.instance, addParts.instance],
+                [n.css, addParts.styles],
+                ...blocks.map(
+                    (block, index): [Node, () => void] => [
+                        block,
+                        () => printSection(block, 'customBlocks', index),
+                    ],
+                ),
+            ];
+
+            let children = html.children;
+            sections
+                .filter(([section]) => section)
+                .sort(([a], [b]) => a!.start - b!.start)
+                .forEach(([section, addSection]) => {
+                    printMarkup(children.filter(child => child.start < section!.start));
+                    children = children.filter(child => child.start > section!.start);
+                    addSection();
+                });
+            printMarkup(children);
+            n.html = html;
+        }
+
+        const componentDoc = group(join(hardline, parts));
+
+        if (options.svelteVerify) {
+            propagateBreaks(componentDoc);
+            // printing consumes the parts of `fill`s, so a copy is printed
+            const { formatted } = printDocToString(mapDoc(componentDoc, d => d), options);
+            verify(options.originalText, formatted, options);
+        }
+
+        return componentDoc;
     }
 
-    const [open, close] = options.svelteStrictMode ? ['"{', '}"'] : ['{', '}'];
     const node = n as Node;
+    if (node.syntaxError) {
+        throw node.syntaxError;
+    }
+
+    const [open, close] = shouldQuoteExpression(node, options) ? ['"{', '}"'] : ['{', '}'];
     switch (node.type) {
         case 'Fragment':
             const children = node.children;
@@ -97,7 +218,7 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                 return '';
             }
 
-            return concat([printChildren(path, print, false), hardline]);
+            return concat([printChildren(path, print, options, false), hardline]);
         case 'Text':
             if (isEmptyNode(node)) {
                 return {
@@ -127,19 +248,21 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
              * until this node's current line is out of room, at which `fill` will break at the
              * most convienient instance of `line`.
              */
-            return fill(join(line, (node.raw || node.data).split(/[\t\n\f\r ]+/)).parts);
+            return fill(getDocParts(join(line, (node.raw || node.data).split(/[\t\n\f\r ]+/)))!);
         case 'Element':
         case 'InlineComponent':
         case 'Slot':
+        case 'SlotTemplate':
+        case 'SvelteBoundary':
         case 'Window':
         case 'Head':
         case 'Title': {
-            const isEmpty = node.children.every(child => isEmptyNode(child));
-            const isSelfClosingTag =
-                isEmpty &&
-                (!options.svelteStrictMode ||
-                    node.type !== 'Element' ||
-                    SELF_CLOSING_TAGS.indexOf(node.name) !== -1);
+            const isPreformatted = isPreformattedElement(node, options);
+            const isEmpty = isPreformatted
+                ? node.children.length === 0
+                : node.children.every(child => isEmptyNode(child));
+            const isVoid = isVoidElement(node);
+            const isSelfClosingTag = isEmpty && shouldSelfClose(node, options);
 
             return group(
                 concat([
@@ -158,7 +281,16 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                                           close,
                                       ])
                                     : '',
-                                ...path.map(childPath => childPath.call(print), 'attributes'),
+                                node.type === 'Element' && node.tag
+                                    ? concat([
+                                          line,
+                                          'this=',
+                                          typeof node.tag === 'string'
+                                              ? concat(['"', node.tag, '"'])
+                                              : concat([open, printJS(path, print, 'tag'), close]),
+                                      ])
+                                    : '',
+                                ...printAttributes(path, print, options),
                                 options.svelteBracketNewLine
                                     ? dedent(isSelfClosingTag ? line : softline)
                                     : '',
@@ -168,28 +300,37 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
 
                     isSelfClosingTag ? `${options.svelteBracketNewLine ? '' : ' '}/>` : '>',
 
-                    isEmpty ? '' : indent(printChildren(path, print)),
-
-                    isSelfClosingTag ? '' : concat(['</', node.name, '>']),
+                    isEmpty
+                        ? ''
+                        : isPreformatted
+                        ? printRaw(
+                              options.originalText.slice(
+                                  node.children[0].start,
+                                  node.children[node.children.length - 1].end,
+                              ),
+                          )
+                        : indent(printChildren(path, print, options)),
+
+                    isSelfClosingTag || isVoid ? '' : concat(['</', node.name, '>']),
                 ]),
             );
         }
         case 'Options':
         case 'Body':
+        case 'Document':
             return group(
                 concat([
                     '<',
                     node.name,
 
-                    indent(
-                        group(concat(path.map(childPath => childPath.call(print), 'attributes'))),
-                    ),
+                    indent(group(concat(printAttributes(path, print, options)))),
 
                     ' />',
                 ]),
             );
         case 'Identifier':
-            return node.name;
+            // TypeScript annotations, e.g. on snippet parameters, are kept as written
+            return node.typeAnnotation ? getText(node, options) : node.name;
         case 'Attribute': {
             const hasLoneMustacheTag =
                 node.value !== true &&
@@ -208,18 +349,85 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
             }
 
             if (isAttributeShorthand) {
-                return concat([line, '{', node.name, '}']);
+                return shouldUseShorthand(node, options)
+                    ? concat([line, '{', node.name, '}'])
+                    : concat([line, node.name, '=', open, node.name, close]);
             }
 
             const def: Doc[] = [line, node.name];
             if (node.value !== true) {
                 def.push('=');
-                const quotes = !hasLoneMustacheTag || options.svelteStrictMode;
+                const quotes = isQuotedAttributeValue(node, options);
+                const quote = quotes ? getAttributeQuote(node.value) : '';
+
+                def.push(quote);
+                if (node.name === 'class' && options.svelteFormatStyleAndClass && quotes) {
+                    def.push(printClassNames(path, print));
+                } else {
+                    // hand-tuned class and style values are kept as written
+                    const keepText =
+                        (node.name === 'class' || node.name === 'style') &&
+                        !options.svelteFormatStyleAndClass;
+                    def.push(
+                        ...path.map(childPath => {
+                            const valueNode = childPath.getValue() as Node;
+                            if (valueNode.type !== 'Text') {
+                                return childPath.call(print);
+                            }
+
+                            const textDoc = keepText
+                                ? printRaw(valueNode.raw || valueNode.data)
+                                : childPath.call(print);
+                            return quote === '"' ? escapeDoubleQuotes(textDoc) : textDoc;
+                        }, 'value'),
+                    );
+                }
+                def.push(quote);
+            }
+            return concat(def);
+        }
+        case 'StyleDirective': {
+            const def: Doc[] = [
+                line,
+                'style:',
+                node.name,
+                node.modifiers && node.modifiers.length
+                    ? concat(['|', join('|', node.modifiers)])
+                    : '',
+            ];
 
-                quotes && def.push('"');
-                def.push(...path.map(childPath => childPath.call(print), 'value'));
-                quotes && def.push('"');
+            // `style:color` is short for `style:color={color}`
+            const expression =
+                node.value === true
+                    ? null
+                    : node.value.length === 1 && node.value[0].type === 'MustacheTag'
+                    ? (node.value[0] as MustacheTagNode).expression
+                    : undefined;
+            const isShorthand =
+                expression === null ||
+                (!!expression && expression.type === 'Identifier' && expression.name === node.name);
+            if (isShorthand && shouldUseShorthand(node, options)) {
+                return concat(def);
+            }
+            if (node.value === true) {
+                return concat([...def, '=', open, node.name, close]);
             }
+
+            const quote = isQuotedAttributeValue(node, options)
+                ? getAttributeQuote(node.value)
+                : '';
+            def.push(
+                '=',
+                quote,
+                ...path.map(childPath => {
+                    const valueNode = childPath.getValue() as Node;
+                    const valueDoc = childPath.call(print);
+                    return valueNode.type === 'Text' && quote === '"'
+                        ? escapeDoubleQuotes(valueDoc)
+                        : valueDoc;
+                }, 'value'),
+                quote,
+            );
             return concat(def);
         }
         case 'MustacheTag':
@@ -229,7 +437,7 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                 '{#if ',
                 printJS(path, print, 'expression'),
                 '}',
-                indent(printChildren(path, print)),
+                indent(printChildren(path, print, options)),
             ];
 
             if (node.else) {
@@ -254,7 +462,9 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                     '{:else if ',
                     path.map(ifPath => printJS(path, print, 'expression'), 'children')[0],
                     '}',
-                    indent(path.map(ifPath => printChildren(ifPath, print), 'children')[0]),
+                    indent(
+                        path.map(ifPath => printChildren(ifPath, print, options), 'children')[0],
+                    ),
                 ];
 
                 if (ifNode.else) {
@@ -263,14 +473,14 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                 return group(concat(def));
             }
 
-            return group(concat(['{:else}', indent(printChildren(path, print))]));
+            return group(concat(['{:else}', indent(printChildren(path, print, options))]));
         }
         case 'EachBlock': {
             const def: Doc[] = [
                 '{#each ',
                 printJS(path, print, 'expression'),
-                ' as ',
-                printJS(path, print, 'context'),
+                // Svelte 5 allows `{#each items}` without a context
+                node.context ? concat([' as ', printJS(path, print, 'context')]) : '',
             ];
 
             if (node.index) {
@@ -281,7 +491,7 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                 def.push(' (', printJS(path, print, 'key'), ')');
             }
 
-            def.push('}', indent(printChildren(path, print)));
+            def.push('}', indent(printChildren(path, print, options)));
 
             if (node.else) {
                 def.push(path.call(print, 'else'));
@@ -291,58 +501,119 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
 
             return group(concat(def));
         }
+        case 'SnippetBlock':
+            return group(
+                concat([
+                    group(
+                        concat([
+                            '{#snippet ',
+                            printJS(path, print, 'expression'),
+                            // generic parameters are kept as written, like type annotations
+                            node.typeParams ? concat(['<', printRaw(node.typeParams), '>']) : '',
+                            '(',
+                            indent(
+                                concat([
+                                    softline,
+                                    join(
+                                        concat([',', line]),
+                                        path.map(
+                                            paramPath => printJS(paramPath, print),
+                                            'parameters',
+                                        ),
+                                    ),
+                                ]),
+                            ),
+                            softline,
+                            ')}',
+                        ]),
+                    ),
+                    indent(printChildren(path, print, options)),
+                    '{/snippet}',
+                ]),
+            );
+        case 'RenderTag':
+            return concat(['{@render ', printJS(path, print, 'expression'), '}']);
+        case 'KeyBlock':
+            return group(
+                concat([
+                    '{#key ',
+                    printJS(path, print, 'expression'),
+                    '}',
+                    indent(printChildren(path, print, options)),
+                    '{/key}',
+                ]),
+            );
+        case 'ConstTag':
+            // the declaration is an assignment, which would be parenthesized if printed as a whole
+            return concat([
+                '{@const ',
+                path.call(exprPath => printJS(exprPath, print, 'left'), 'expression'),
+                ' = ',
+                path.call(exprPath => printJS(exprPath, print, 'right'), 'expression'),
+                '}',
+            ]);
         case 'AwaitBlock': {
-            const hasPendingBlock =
-                node.pending.children.length !== 0 && !node.pending.children.every(isEmptyNode);
-            const hasCatchBlock =
-                node.catch.children.length !== 0 && !node.catch.children.every(isEmptyNode);
-
-            if (hasPendingBlock && hasCatchBlock) {
-                return group(
-                    concat([
-                        group(concat(['{#await ', printJS(path, print, 'expression'), '}'])),
-                        indent(path.call(print, 'pending')),
-                        group(concat(['{:then', node.value ? ' ' + node.value : '', '}'])),
-                        indent(path.call(print, 'then')),
-                        group(concat(['{:catch', node.error ? ' ' + node.error : '', '}'])),
-                        indent(path.call(print, 'catch')),
-                        '{/await}',
-                    ]),
-                );
-            }
+            const hasPendingBlock = !isBlockSkipped(node.pending, true);
+            const hasThenBlock = !isBlockSkipped(node.then, false);
+            const hasCatchBlock = !isBlockSkipped(node.catch, true);
+            const value = node.value ? concat([' ', printJS(path, print, 'value')]) : '';
+            const error = node.error ? concat([' ', printJS(path, print, 'error')]) : '';
 
+            const def: Doc[] = [];
             if (hasPendingBlock) {
-                return group(
-                    concat([
-                        group(concat(['{#await ', printJS(path, print, 'expression'), '}'])),
-                        indent(path.call(print, 'pending')),
-                        group(concat(['{:then', node.value ? ' ' + node.value : '', '}'])),
-                        indent(path.call(print, 'then')),
-                        '{/await}',
-                    ]),
+                def.push(
+                    group(concat(['{#await ', printJS(path, print, 'expression'), '}'])),
+                    indent(path.call(print, 'pending')),
                 );
-            }
-
-            return group(
-                concat([
+                if (hasThenBlock) {
+                    def.push(
+                        group(concat(['{:then', value, '}'])),
+                        indent(path.call(print, 'then')),
+                    );
+                }
+            } else if (hasThenBlock) {
+                def.push(
                     group(
                         concat([
                             '{#await ',
                             printJS(path, print, 'expression'),
-                            ' then ',
-                            node.value ? node.value : '',
+                            ' then',
+                            value,
                             '}',
                         ]),
                     ),
                     indent(path.call(print, 'then')),
-                    '{/await}',
-                ]),
-            );
+                );
+            } else {
+                return group(
+                    concat([
+                        group(
+                            concat([
+                                '{#await ',
+                                printJS(path, print, 'expression'),
+                                ' catch',
+                                error,
+                                '}',
+                            ]),
+                        ),
+                        indent(path.call(print, 'catch')),
+                        '{/await}',
+                    ]),
+                );
+            }
+
+            if (hasCatchBlock) {
+                def.push(group(concat(['{:catch', error, '}'])), indent(path.call(print, 'catch')));
+            }
+
+            def.push('{/await}');
+
+            return group(concat(def));
         }
         case 'ThenBlock':
         case 'PendingBlock':
         case 'CatchBlock':
-            return printChildren(path, print);
+            return printChildren(path, print, options);
         case 'EventHandler':
             return concat([
                 line,
@@ -360,16 +631,30 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                 line,
                 'bind:',
                 node.name,
-                node.expression.type === 'Identifier' && node.expression.name === node.name
+                isShorthandValue(node) && shouldUseShorthand(node, options)
                     ? ''
-                    : concat(['=', open, printJS(path, print, 'expression'), close]),
+                    : concat([
+                          '=',
+                          open,
+                          isGetterSetterBinding(node)
+                              ? join(
+                                    ', ',
+                                    path.map(
+                                        itemPath => printJS(itemPath, print),
+                                        'expression',
+                                        'expressions',
+                                    ),
+                                )
+                              : printJS(path, print, 'expression'),
+                          close,
+                      ]),
             ]);
         case 'Class':
             return concat([
                 line,
                 'class:',
                 node.name,
-                node.expression.type === 'Identifier' && node.expression.name === node.name
+                isShorthandValue(node) && shouldUseShorthand(node, options)
                     ? ''
                     : concat(['=', open, printJS(path, print, 'expression'), close]),
             ]);
@@ -378,11 +663,15 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
                 line,
                 'let:',
                 node.name,
-                // shorthand let directives have `null` expressions
-                !node.expression ||
-                (node.expression.type === 'Identifier' && node.expression.name === node.name)
+                isShorthandValue(node) && shouldUseShorthand(node, options)
                     ? ''
-                    : concat(['=', open, printJS(path, print, 'expression'), close]),
+                    : concat([
+                          '=',
+                          open,
+                          // shorthand let directives have `null` expressions
+                          node.expression ? printJS(path, print, 'expression') : node.name,
+                          close,
+                      ]),
             ]);
         case 'DebugTag':
             return concat([
@@ -394,14 +683,8 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
             ]);
         case 'Ref':
             return concat([line, 'ref:', node.name]);
-        case 'Comment': {
-            let text = node.data;
-            if (hasSnippedContent(text)) {
-                text = unsnipContent(text);
-            }
-
-            return group(concat(['<!--', text, '-->']));
-        }
+        case 'Comment':
+            return group(concat(['<!--', node.data, '-->']));
         case 'Transition':
             const kind = node.intro && node.outro ? 'transition' : node.intro ? 'in' : 'out';
             return concat([
@@ -438,10 +721,91 @@ export function print(path: FastPath, options: ParserOptions, print: PrintFn): D
             return concat(['{@html ', printJS(path, print, 'expression'), '}']);
         case 'Spread':
             return concat([line, '{...', printJS(path, print, 'expression'), '}']);
+        case 'AttachTag':
+            return concat([line, '{@attach ', printJS(path, print, 'expression'), '}']);
+    }
+
+    if (options.svelteFailOnUnknownNodes) {
+        throw new Error('unknown node type: ' + node.type);
+    }
+
+    /**
+     * Syntax this printer doesn't know about yet is kept exactly as written, so the rest of the
+     * component can still be formatted. Attributes need the leading `line` every attribute prints
+     * to stay separated from the tag name.
+     */
+    const parent = path.getParentNode();
+    const isAttribute =
+        !!parent && Array.isArray(parent.attributes) && parent.attributes.indexOf(node) !== -1;
+    return concat([isAttribute ? line : '', printRaw(getText(node, options))]);
+}
+
+/**
+ * Finds the comments in the top-level markup that are only separated by whitespace from the
+ * given section, adds them and the whitespace between them to `removedNodes`, and prints them
+ * one per line. Blank lines between them are kept.
+ */
+function printLeadingComments(
+    path: FastPath,
+    print: PrintFn,
+    options: ParserOptions,
+    html: FragmentNode,
+    section: Node,
+    removedNodes: Node[],
+): Doc {
+    let index = html.children.findIndex(child => child.start >= section.start);
+    if (index === -1) {
+        index = html.children.length;
+    }
+
+    // comments taken by the section before it aren't taken again
+    const run: number[] = [];
+    while (
+        index > 0 &&
+        (html.children[index - 1].type === 'Comment' || isEmptyNode(html.children[index - 1])) &&
+        removedNodes.indexOf(html.children[index - 1]) === -1
+    ) {
+        run.unshift(--index);
     }
 
-    console.log(JSON.stringify(node, null, 4));
-    throw new Error('unknown node type: ' + node.type);
+    // the whitespace before the first comment still separates the markup around it
+    while (run.length > 0 && html.children[run[0]].type !== 'Comment') {
+        run.shift();
+    }
+
+    const comments = run.filter(i => html.children[i].type === 'Comment');
+    if (comments.length === 0) {
+        return '';
+    }
+
+    const docs: Doc[] = [];
+    comments.forEach((i, j) => {
+        const end = j + 1 < comments.length ? html.children[comments[j + 1]].start : section.start;
+        const hasBlankLine = /\n\r?\s*\n\r?/.test(
+            options.originalText.slice(html.children[i].end, end),
+        );
+
+        docs.push(path.call(print, 'html', 'children', i), hardline);
+        if (hasBlankLine) {
+            docs.push(hardline);
+        }
+    });
+
+    run.forEach(i => removedNodes.push(html.children[i]));
+    return concat(docs);
+}
+
+function trimEmptyChildren(children: Node[]): Node[] {
+    let start = 0;
+    let end = children.length;
+    while (start < end && isEmptyNode(children[start])) {
+        start++;
+    }
+    while (end > start && isEmptyNode(children[end - 1])) {
+        end--;
+    }
+
+    return children.slice(start, end);
 }
 
 function isEmptyGroup(group: Doc[]): boolean {
@@ -533,9 +897,18 @@ function trimRight(group: Doc[]): void {
     last.parts.reverse();
 }
 
-function printChildren(path: FastPath, print: PrintFn, surroundingLines = true): Doc {
+function printChildren(
+    path: FastPath,
+    print: PrintFn,
+    options: ParserOptions,
+    surroundingLines = true,
+): Doc {
+    const parent = path.getValue() as Node;
+    const siblings: Node[] = path.getValue().children;
     const childDocs: Doc[] = [];
     let currentGroup: Doc[] = [];
+    let ignoreNext = false;
+    let ignoreRangeStart: Node | null = null;
 
     /**
      * Sequences of inline nodes (currently, `TextNode`s and `MustacheTag`s) are collected into
@@ -553,39 +926,255 @@ function printChildren(path: FastPath, print: PrintFn, surroundingLines = true):
         currentGroup = [];
     }
 
-    path.each(childPath => {
-        const childNode = childPath.getValue() as Node;
-        const childDoc = childPath.call(print);
-
-        if (isInlineNode(childNode)) {
+    function push(childNode: Node, childDoc: Doc) {
+        if (isInlineNode(childNode, options)) {
             currentGroup.push(childDoc);
         } else {
             flush();
             childDocs.push(concat([breakParent, childDoc]));
         }
+    }
+
+    /**
+     * Everything between a `<!-- prettier-ignore-start -->` comment and the matching
+     * `<!-- prettier-ignore-end -->` comment (or the end of the parent) is printed exactly as it
+     * appears in the source, as a single block.
+     */
+    function flushIgnoredRange(end: number) {
+        flush();
+        const text = options.originalText.slice(ignoreRangeStart!.end, end).trim();
+        if (text) {
+            childDocs.push(concat([breakParent, printRaw(text)]));
+        }
+        ignoreRangeStart = null;
+    }
+
+    let lastChild: Node | null = null;
+    path.each(childPath => {
+        const childNode = childPath.getValue() as Node;
+        const previousNode = lastChild;
+        lastChild = childNode;
+
+        if (ignoreRangeStart) {
+            if (!isPrettierIgnoreComment(childNode, 'prettier-ignore-end')) {
+                return;
+            }
+            flushIgnoredRange(childNode.start);
+        }
+
+        // `<!-- prettier-ignore -->` keeps the next non-whitespace sibling as it was written
+        if (ignoreNext && !isEmptyNode(childNode)) {
+            ignoreNext = false;
+            push(childNode, printRaw(getText(childNode, options)));
+            return;
+        }
+
+        /**
+         * Inline elements are printed as part of the surrounding inline group, so a blank line
+         * next to one of them would otherwise be collapsed into a single space. Such blank lines
+         * end the current group instead, which keeps them in the output.
+         */
+        const nextNode = siblings[(childPath.getName() as number) + 1];
+        if (
+            isEmptyNode(childNode) &&
+            /\n\r?\s*\n\r?/.test((childNode as TextNode).raw || (childNode as TextNode).data) &&
+            ((previousNode && isInlineElement(previousNode, options)) ||
+                isInlineElement(nextNode, options))
+        ) {
+            flush();
+            childDocs.push('');
+            return;
+        }
+
+        push(childNode, childPath.call(print));
+
+        if (isPrettierIgnoreComment(childNode, 'prettier-ignore')) {
+            ignoreNext = true;
+        } else if (isPrettierIgnoreComment(childNode, 'prettier-ignore-start')) {
+            ignoreRangeStart = childNode;
+        }
     }, 'children');
 
+    if (ignoreRangeStart) {
+        flushIgnoredRange(lastChild!.end);
+    }
+
     flush();
 
-    return concat([
-        surroundingLines ? softline : '',
-        join(hardline, childDocs),
-        surroundingLines ? dedent(softline) : '',
-    ]);
+    if (!surroundingLines) {
+        return join(hardline, childDocs);
+    }
+
+    /**
+     * Leading and trailing whitespace inside whitespace sensitive elements is significant, so a
+     * line is only added there if the source had whitespace in the same place, and never
+     * otherwise.
+     */
+    if (isWhitespaceSensitive(parent, options)) {
+        const children = parent.children;
+        const first = children[0];
+        const last = children[children.length - 1];
+        return concat([
+            first && first.type === 'Text' && /^\s/.test(first.raw || first.data) ? line : '',
+            join(hardline, childDocs),
+            last && last.type === 'Text' && /\s$/.test(last.raw || last.data) ? dedent(line) : '',
+        ]);
+    }
+
+    return concat([softline, join(hardline, childDocs), dedent(softline)]);
+}
+
+/**
+ * Prints the value of a `class` attribute as a list of class names separated by single spaces,
+ * which wraps when it doesn't fit on the line. Mustache tags that directly touch text are part of
+ * the same class name.
+ */
+function printClassNames(path: FastPath, print: PrintFn): Doc {
+    const classNames: Doc[][] = [[]];
+    path.each(valuePath => {
+        const valueNode = valuePath.getValue() as Node;
+        if (valueNode.type !== 'Text') {
+            classNames[classNames.length - 1].push(valuePath.call(print));
+            return;
+        }
+
+        (valueNode.raw || valueNode.data).split(/[\t\n\f\r ]+/).forEach((part, index) => {
+            if (index > 0) {
+                classNames.push([]);
+            }
+            if (part) {
+                classNames[classNames.length - 1].push(part);
+            }
+        });
+    }, 'value');
+
+    const parts = classNames.filter(className => className.length > 0).map(concat);
+    return fill(getDocParts(join(line, parts))!);
+}
+
+/**
+ * Prints the attributes and directives of an element, ordered by `svelteAttributeSortOrder`.
+ * Attributes are never moved across a spread, since that would change which value wins.
+ */
+function printAttributes(path: FastPath, print: PrintFn, options: ParserOptions): Doc[] {
+    const attributeDocs = path.map(childPath => childPath.call(print), 'attributes');
+    const sortOrder = parseAttributeSortOrder(options.svelteAttributeSortOrder);
+    if (!sortOrder) {
+        return attributeDocs;
+    }
+
+    const attributes: Node[] = path.getValue().attributes;
+    const rank = (index: number) => {
+        const kindIndex = sortOrder.indexOf(getAttributeKind(attributes[index]));
+        return kindIndex === -1 ? sortOrder.length : kindIndex;
+    };
+
+    const sortedDocs: Doc[] = [];
+    let segment: number[] = [];
+    function flushSegment() {
+        segment.sort((a, b) => rank(a) - rank(b) || a - b);
+        segment.forEach(index => sortedDocs.push(attributeDocs[index]));
+        segment = [];
+    }
+
+    attributes.forEach((attribute, index) => {
+        if (attribute.type === 'Spread') {
+            flushSegment();
+            sortedDocs.push(attributeDocs[index]);
+        } else {
+            segment.push(index);
+        }
+    });
+    flushSegment();
+
+    return sortedDocs;
+}
+
+function getAttributeKind(node: Node): AttributeKind {
+    switch (node.type) {
+        case 'Binding':
+            return node.name === 'this' ? 'this' : 'bind';
+        case 'EventHandler':
+            return 'on';
+        case 'Action':
+        case 'AttachTag':
+            return 'use';
+        case 'Class':
+            return 'class';
+        case 'Let':
+            return 'let';
+        case 'Transition':
+            return 'transition';
+        case 'Animation':
+            return 'animate';
+        case 'Attribute':
+            if (node.name === 'this') {
+                return 'this';
+            }
+            // Svelte 5 event attributes, e.g. `onclick={handler}`
+            return /^on[a-z]/.test(node.name) &&
+                node.value !== true &&
+                node.value.length === 1 &&
+                node.value[0].type !== 'Text'
+                ? 'on'
+                : 'attributes';
+        default:
+            return 'attributes';
+    }
 }
 
+/**
+ * Returns whether the value of a directive is the variable of the same name, e.g. `bind:value` or
+ * `bind:value={value}`.
+ */
+function isShorthandValue(node: Node & { name: string; expression: Node | null }): boolean {
+    return (
+        !node.expression ||
+        (node.expression.type === 'Identifier' && node.expression.name === node.name)
+    );
+}
+
+/**
+ * Prints a template expression, which the parser marked for `embed` to format.
+ */
 function printJS(path: FastPath, print: PrintFn, name?: string) {
-    if (!name) {
-        path.getValue().isJS = true;
-        return path.call(print);
+    return name ? path.call(print, name) : path.call(print);
+}
+
+/**
+ * Svelte 3.x marks the branches of an `{#await}` block that were not written in the source with
+ * `skip`. Older versions of the compiler always create all three branches, in which case a branch
+ * is only considered present when it has content (or, for `{:then}`, always).
+ */
+function isBlockSkipped(
+    block: PendingBlockNode | ThenBlockNode | CatchBlockNode,
+    skipIfEmpty: boolean,
+): boolean {
+    if (block.skip !== undefined) {
+        return block.skip || (block.type === 'PendingBlock' && block.children.every(isEmptyNode));
     }
 
-    path.getValue()[name].isJS = true;
-    return path.call(print, name);
+    return skipIfEmpty && block.children.every(isEmptyNode);
+}
+
+/**
+ * Attribute values are double quoted, unless they are plain text containing double quotes but no
+ * single quotes, which reads better than escaping.
+ */
+function getAttributeQuote(value: Node[]): string {
+    const texts = value.map(n => (n.type === 'Text' ? n.raw || n.data : ''));
+    const isPlainText = value.every(n => n.type === 'Text');
+    return isPlainText && texts.some(t => t.includes('"')) && !texts.some(t => t.includes("'"))
+        ? "'"
+        : '"';
+}
+
+function escapeDoubleQuotes(textDoc: Doc): Doc {
+    return mapDoc(textDoc, d => (typeof d === 'string' ? d.replace(/"/g, '&quot;') : d));
 }
 
-function isInlineNode(node: Node): boolean {
-    return node.type === 'Text' || node.type === 'MustacheTag';
+function isPrettierIgnoreComment(node: Node, directive: string): boolean {
+    return node.type === 'Comment' && node.data.trim() === directive;
 }
 
 function isEmptyNode(node: Node): boolean {
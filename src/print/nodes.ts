@@ -2,6 +2,11 @@ export interface BaseNode {
     start: number;
     end: number;
     isJS?: boolean;
+    /**
+     * A syntax error in the content of a `<script>`, `<style>` or custom block, see
+     * `embedTagContent`.
+     */
+    syntaxError?: SyntaxError;
 }
 
 export interface FragmentNode extends BaseNode {
@@ -14,6 +19,10 @@ export interface ElementNode extends BaseNode {
     name: string;
     attributes: Node[];
     children: Node[];
+    /**
+     * The `this` attribute of `<svelte:element>`, either a static tag name or an expression.
+     */
+    tag?: string | Node;
 }
 
 export interface TextNode extends BaseNode {
@@ -33,9 +42,23 @@ export interface AttributeNode extends BaseNode {
     value: Node[] | true;
 }
 
+export interface StyleDirectiveNode extends BaseNode {
+    type: 'StyleDirective';
+    name: string;
+    modifiers: string[];
+    value: Node[] | true;
+}
+
 export interface IdentifierNode extends BaseNode {
     type: 'Identifier';
     name: string;
+    typeAnnotation?: Node;
+}
+
+// the getter and setter of a Svelte 5 function binding, e.g. `bind:value={get, set}`
+export interface SequenceExpressionNode extends BaseNode {
+    type: 'SequenceExpression';
+    expressions: Node[];
 }
 
 export interface AttributeShorthandNode extends BaseNode {
@@ -49,6 +72,8 @@ export interface IfBlockNode extends BaseNode {
     expression: Node;
     children: Node[];
     else?: Node;
+    // an `{:else if}`, which is the only child of the `ElseBlock` of the previous `{#if}`
+    elseif?: boolean;
 }
 
 export interface ElseBlockNode extends BaseNode {
@@ -60,7 +85,7 @@ export interface EachBlockNode extends BaseNode {
     type: 'EachBlock';
     expression: Node;
     children: Node[];
-    context: Node;
+    context: Node | null;
     index?: string;
     else?: Node;
     key?: Node;
@@ -69,8 +94,8 @@ export interface EachBlockNode extends BaseNode {
 export interface AwaitBlockNode extends BaseNode {
     type: 'AwaitBlock';
     expression: Node;
-    value?: string;
-    error?: string;
+    value?: Node | null;
+    error?: Node | null;
     pending: PendingBlockNode;
     then: ThenBlockNode;
     catch: CatchBlockNode;
@@ -79,16 +104,51 @@ export interface AwaitBlockNode extends BaseNode {
 export interface ThenBlockNode extends BaseNode {
     type: 'ThenBlock';
     children: Node[];
+    skip?: boolean;
 }
 
 export interface PendingBlockNode extends BaseNode {
     type: 'PendingBlock';
     children: Node[];
+    skip?: boolean;
 }
 
 export interface CatchBlockNode extends BaseNode {
     type: 'CatchBlock';
     children: Node[];
+    skip?: boolean;
+}
+
+export interface KeyBlockNode extends BaseNode {
+    type: 'KeyBlock';
+    expression: Node;
+    children: Node[];
+}
+
+export interface SnippetBlockNode extends BaseNode {
+    type: 'SnippetBlock';
+    expression: Node;
+    // the generic parameters of a typed snippet, e.g. `T` in `{#snippet row<T>(item: T)}`
+    typeParams?: string;
+    parameters: Node[];
+    children: Node[];
+}
+
+export interface RenderTagNode extends BaseNode {
+    type: 'RenderTag';
+    expression: Node;
+}
+
+export interface ConstTagNode extends BaseNode {
+    type: 'ConstTag';
+    expression: AssignmentExpressionNode;
+}
+
+// the declaration of a `{@const}`, e.g. `{@const a = b}`
+export interface AssignmentExpressionNode extends BaseNode {
+    type: 'AssignmentExpression';
+    left: Node;
+    right: Node;
 }
 
 export interface EventHandlerNode extends BaseNode {
@@ -113,7 +173,10 @@ export interface ClassNode extends BaseNode {
 export interface LetNode extends BaseNode {
     type: 'Let';
     name: string;
-    expression: Node;
+    /**
+     * `null` for the shorthand form, e.g. `let:item`.
+     */
+    expression: Node | null;
 }
 
 export interface DebugTagNode extends BaseNode {
@@ -160,6 +223,26 @@ export interface HeadNode extends BaseNode {
     children: Node[];
 }
 
+export interface DocumentNode extends BaseNode {
+    type: 'Document';
+    name: string;
+    attributes: Node[];
+}
+
+export interface SvelteBoundaryNode extends BaseNode {
+    type: 'SvelteBoundary';
+    name: string;
+    attributes: Node[];
+    children: Node[];
+}
+
+export interface SlotTemplateNode extends BaseNode {
+    type: 'SlotTemplate';
+    name: string;
+    attributes: Node[];
+    children: Node[];
+}
+
 export interface TitleNode extends BaseNode {
     type: 'Title';
     name: string;
@@ -195,6 +278,16 @@ export interface ScriptNode extends BaseNode {
     content: Node;
 }
 
+/**
+ * A top-level tag listed in `svelteCustomBlocks`, taken out of the markup by `parseSvelte`.
+ */
+export interface CustomBlockNode extends BaseNode {
+    type: 'CustomBlock';
+    name: string;
+    attributes: Node[];
+    children: Node[];
+}
+
 export interface StyleProgramNode extends BaseNode {
     type: 'StyleProgram';
     styles: string;
@@ -221,6 +314,11 @@ export interface SpreadNode extends BaseNode {
     expression: Node;
 }
 
+export interface AttachTagNode extends BaseNode {
+    type: 'AttachTag';
+    expression: Node;
+}
+
 export interface InstanceScriptNode extends BaseNode {
     type: 'InstanceScript';
     context: string;
@@ -251,7 +349,9 @@ export type Node =
     | TextNode
     | MustacheTagNode
     | AttributeNode
+    | StyleDirectiveNode
     | IdentifierNode
+    | SequenceExpressionNode
     | AttributeShorthandNode
     | IfBlockNode
     | ElseBlockNode
@@ -260,6 +360,11 @@ export type Node =
     | ThenBlockNode
     | PendingBlockNode
     | CatchBlockNode
+    | KeyBlockNode
+    | SnippetBlockNode
+    | RenderTagNode
+    | ConstTagNode
+    | AssignmentExpressionNode
     | EventHandlerNode
     | BindingNode
     | ClassNode
@@ -271,16 +376,21 @@ export type Node =
     | SlotNode
     | WindowNode
     | HeadNode
+    | DocumentNode
+    | SlotTemplateNode
+    | SvelteBoundaryNode
     | TitleNode
     | TransitionNode
     | ActionNode
     | StyleNode
     | ScriptNode
+    | CustomBlockNode
     | StyleProgramNode
     | ProgramNode
     | AnimationNode
     | RawMustacheTagNode
     | SpreadNode
+    | AttachTagNode
     | InstanceScriptNode
     | ModuleScriptNode
     | BodyNode
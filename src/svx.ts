@@ -0,0 +1,113 @@
+import { FastPath, Doc, doc, ParserOptions } from 'prettier';
+import { PrintFn } from './print';
+import { printRaw } from './print/helpers';
+import {
+    concat,
+    createEmbed,
+    getDocParts,
+    getBuiltinParser,
+    getParseOptions,
+    Embedding,
+} from './lib/compat';
+
+const { join, hardline } = doc.builders;
+
+export interface SvxRootNode {
+    type: 'SvxRoot';
+    children: SvxSectionNode[];
+}
+
+/**
+ * A run of top-level markdown blocks, or a single block of HTML (which, in an MDsveX file, is
+ * where the `<script>`, `<style>` and component markup live).
+ */
+export interface SvxSectionNode {
+    type: 'SvxSection';
+    lang: 'markdown' | 'svelte';
+    value: string;
+    start: number;
+    end: number;
+}
+
+type SvxNode = SvxRootNode | SvxSectionNode;
+
+/**
+ * Splits an MDsveX document into markdown and svelte sections, using the top-level blocks found
+ * by prettier's markdown parser.
+ */
+export function parseSvx(text: string, parsers: any, options?: ParserOptions): SvxRootNode {
+    const markdown = getBuiltinParser('markdown', getParseOptions(parsers, options));
+    const markdownAst = markdown.parse(text, {}, {} as any);
+    const children: SvxSectionNode[] = [];
+
+    for (const block of markdownAst.children) {
+        const start: number = block.position.start.offset;
+        const end: number = block.position.end.offset;
+        const lang = block.type === 'html' ? 'svelte' : 'markdown';
+        const previous = children[children.length - 1];
+
+        if (previous && previous.lang === 'markdown' && lang === 'markdown') {
+            previous.end = end;
+            previous.value = text.slice(previous.start, end);
+        } else {
+            children.push({ type: 'SvxSection', lang, value: text.slice(start, end), start, end });
+        }
+    }
+
+    return { type: 'SvxRoot', children };
+}
+
+export function printSvx(path: FastPath, options: ParserOptions, print: PrintFn): Doc {
+    const node: SvxNode = path.getValue();
+    switch (node.type) {
+        case 'SvxRoot':
+            return concat([
+                join(concat([hardline, hardline]), path.map(print, 'children')),
+                hardline,
+            ]);
+        case 'SvxSection':
+            // only reached when a section couldn't be formatted, e.g. an unclosed element
+            return printRaw(node.value.trim());
+    }
+}
+
+export const embedSvx = createEmbed(path => {
+    const node: SvxNode = path.getValue();
+    return node.type === 'SvxSection' ? embedSection(node) : null;
+});
+
+function* embedSection(node: SvxSectionNode): Embedding {
+    const sectionDoc: Doc = yield { text: node.value, options: { parser: node.lang } };
+    return stripTrailingHardline(sectionDoc);
+}
+
+/**
+ * Both the markdown and the svelte printer end their output with a line break, which the root
+ * already puts between sections.
+ */
+function stripTrailingHardline(doc: Doc): Doc {
+    if (typeof doc === 'string') {
+        return doc;
+    }
+
+    const docParts = getDocParts(doc);
+    if (docParts) {
+        const parts = docParts.slice();
+        while (parts.length > 0 && parts[parts.length - 1] === '') {
+            parts.pop();
+        }
+        if (parts.length === 0) {
+            return doc;
+        }
+
+        const last = parts[parts.length - 1];
+        if (last === hardline) {
+            parts.pop();
+        } else {
+            parts[parts.length - 1] = stripTrailingHardline(last);
+        }
+        return concat(parts);
+    }
+
+    return doc.type === 'group' ? { ...doc, contents: stripTrailingHardline(doc.contents) } : doc;
+}
@@ -0,0 +1,47 @@
+import test from 'ava';
+import { format } from 'prettier';
+
+/**
+ * Template expressions are parsed and printed in batches, so formatting a component with hundreds
+ * of them must not parse each one by itself.
+ */
+const babylon = require('prettier/parser-babylon').parsers.babel;
+const parse = babylon.parse;
+let parseCount = 0;
+babylon.parse = function(...args: any[]) {
+    parseCount++;
+    return parse.apply(this, args);
+};
+
+function createComponent(rows: number) {
+    let markup = '';
+    for (let i = 0; i < rows; i++) {
+        markup +=
+            `<div class:active={selected===${i}} on:click={()=>select(${i})} title="Row { titles[${i}] }">` +
+            `{#if items[${i}]}<p>{  items[${i}].name  }</p>{:else}<p>{fallback( ${i} )}</p>{/if}</div>\n`;
+    }
+    return `<script>\nlet selected=0\n</script>\n\n${markup}`;
+}
+
+test('benchmark: expressions of large components are parsed in batches', t => {
+    const rows = 200;
+    const started = Date.now();
+    parseCount = 0;
+    const output = format(createComponent(rows), {
+        parser: 'svelte' as any,
+        plugins: [require.resolve('../../src')],
+        tabWidth: 4,
+    } as any);
+    t.log(`formatted ${rows * 6} expressions in ${Date.now() - started}ms`);
+
+    // the script, and one batch for each quote style
+    t.is(parseCount, 3);
+    t.true(
+        output.includes(
+            '<div\n    class:active={selected === 199}\n    on:click={() => select(199)}\n' +
+                '    title="Row {titles[199]}">\n' +
+                '    {#if items[199]}\n        <p>{items[199].name}</p>\n' +
+                '    {:else}\n        <p>{fallback(199)}</p>\n    {/if}\n</div>\n',
+        ),
+    );
+});
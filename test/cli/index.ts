@@ -0,0 +1,79 @@
+import test from 'ava';
+import { mkdtempSync, writeFileSync, readFileSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { run } from '../../src/cli';
+
+function createProject() {
+    const dir = mkdtempSync(join(tmpdir(), 'svelte-format-'));
+    mkdirSync(join(dir, 'src'));
+    writeFileSync(join(dir, '.prettierrc'), JSON.stringify({ tabWidth: 4 }));
+    writeFileSync(join(dir, 'src', 'Formatted.svelte'), '<p>{a}</p>\n');
+    writeFileSync(join(dir, 'src', 'Unformatted.svelte'), '<div><p>{  a  }</p></div>\n');
+    writeFileSync(join(dir, 'src', 'notes.md'), '#  not a component\n');
+    return dir;
+}
+
+async function runCli(args: string[], stdin = '') {
+    let stdout = '';
+    let stderr = '';
+    const code = await run(args, {
+        stdout: text => (stdout += text),
+        stderr: text => (stderr += text),
+        readStdin: () => Promise.resolve(stdin),
+    });
+    return { code, stdout, stderr };
+}
+
+test('cli: --check lists unformatted files and fails', async t => {
+    const dir = createProject();
+    const { code, stderr } = await runCli(['--check', join(dir, 'src')]);
+
+    t.is(code, 1);
+    t.true(stderr.includes('Unformatted.svelte'));
+    t.false(stderr.includes('Formatted.svelte\n'));
+    t.false(stderr.includes('notes.md'));
+});
+
+test('cli: --write formats files in place using the prettier config', async t => {
+    const dir = createProject();
+    const { code } = await runCli(['--write', join(dir, 'src/*.svelte')]);
+
+    t.is(code, 0);
+    t.is(
+        readFileSync(join(dir, 'src', 'Unformatted.svelte'), 'utf-8'),
+        '<div>\n    <p>{a}</p>\n</div>\n',
+    );
+    t.is((await runCli(['--check', join(dir, 'src')])).code, 0);
+});
+
+test('cli: --diff prints a unified diff', async t => {
+    const dir = createProject();
+    const { code, stdout } = await runCli(['--diff', join(dir, 'src')]);
+
+    t.is(code, 0);
+    t.true(stdout.includes('-<div><p>{  a  }</p></div>'));
+    t.true(stdout.includes('+<div>'));
+    t.is(
+        readFileSync(join(dir, 'src', 'Unformatted.svelte'), 'utf-8'),
+        '<div><p>{  a  }</p></div>\n',
+    );
+});
+
+test('cli: --stdin-filepath formats stdin', async t => {
+    const { code, stdout } = await runCli(['--stdin-filepath', 'App.svelte'], '<p>{  a  }</p>');
+
+    t.is(code, 0);
+    t.is(stdout, '<p>{a}</p>\n');
+});
+
+test('cli: parse errors are reported with their location', async t => {
+    const dir = createProject();
+    const file = join(dir, 'src', 'Broken.svelte');
+    writeFileSync(file, '<div>\n    <p>{a</p>\n</div>\n');
+    const { code, stderr } = await runCli([file]);
+
+    t.is(code, 2);
+    t.regex(stderr, /Broken\.svelte:2:\d+: /);
+    t.true(stderr.includes('> 2 |     <p>{a</p>'));
+});
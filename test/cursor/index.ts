@@ -0,0 +1,95 @@
+import test from 'ava';
+import { formatWithCursor } from 'prettier';
+
+/**
+ * Formats the input with the cursor at the `|` in it, and resolves with the output with a `|` at
+ * the position of the cursor after formatting. The plugin is given as an object, which prettier 3
+ * needs for TypeScript sources (see `test/prettier3`).
+ */
+async function formatAtCursor(input: string, options = {}) {
+    const cursorOffset = input.indexOf('|');
+    const result = await formatWithCursor(input.replace('|', ''), {
+        parser: 'svelte' as any,
+        plugins: [require('../../src')],
+        tabWidth: 4,
+        cursorOffset,
+        ...options,
+    } as any);
+    return (
+        result.formatted.slice(0, result.cursorOffset) +
+        '|' +
+        result.formatted.slice(result.cursorOffset)
+    );
+}
+
+/**
+ * Where formatting inserts a space at the cursor, the cursor stays between the same two characters
+ * of the source, and prettier 3 puts it before the space. Prettier 1 and 2 find the cursor in a
+ * script by diffing the source of the whole `<script>` with its output, and that diff puts it after
+ * the space, as it does in the scripts of their html parser. Returns the expected output for the
+ * prettier that runs the tests, given the one of prettier 3.
+ */
+function withCursorAtInsertedSpace(expected: string) {
+    const majorVersion = parseInt(require('prettier').version, 10);
+    return majorVersion >= 3 ? expected : expected.replace('| ', ' |');
+}
+
+test('cursor: inside a script', async t => {
+    t.is(
+        await formatAtCursor('<script>\nlet   a=1;\nlet b  =  a|+2\n</script>\n<p>{b}</p>'),
+        withCursorAtInsertedSpace(
+            '<script>\n    let a = 1;\n    let b = a| + 2;\n</script>\n\n<p>{b}</p>\n',
+        ),
+    );
+});
+
+test('cursor: inside a script like in a script of html', async t => {
+    const input = '<script>\nlet   a=1;\nlet b  =  a|+2\n</script>';
+    t.is(await formatAtCursor(input), await formatAtCursor(input, { parser: 'html' }));
+});
+
+test('cursor: inside a style', async t => {
+    t.is(
+        await formatAtCursor('<p>hi</p>\n<style>\np{color:r|ed}\n</style>'),
+        '<style>\n    p {\n        color: r|ed;\n    }\n</style>\n\n<p>hi</p>\n',
+    );
+});
+
+test('cursor: inside an attribute expression', async t => {
+    t.is(
+        await formatAtCursor('<button   on:click={()=>co|unt+=1}>+</button>'),
+        '<button on:click={() => (co|unt += 1)}>+</button>\n',
+    );
+});
+
+test('cursor: inside text', async t => {
+    t.is(
+        await formatAtCursor('<div><p>{  a  }  some   te|xt</p></div>'),
+        '<div>\n    <p>{a} some te|xt</p>\n</div>\n',
+    );
+});
+
+test('cursor: follows sections that are moved by svelteSortOrder', async t => {
+    t.is(
+        await formatAtCursor('<p>hi</p>\n<script>\nlet   a=|1\n</script>', {
+            svelteSortOrder: 'styles-markup-scripts',
+        }),
+        withCursorAtInsertedSpace('<p>hi</p>\n\n<script>\n    let a =| 1;\n</script>\n'),
+    );
+});
+
+test('cursor: follows the nodes formatted in a range', async t => {
+    const input = '<p  >{  a  }</p>\n<div>\n    <p  >{  b|  }</p>\n</div>\n<p  >{  c  }</p>';
+    t.is(
+        await formatAtCursor(input, { rangeStart: 25, rangeEnd: 30 }),
+        '<p  >{  a  }</p>\n<div>\n    <p>{b|}</p>\n</div>\n<p  >{  c  }</p>',
+    );
+});
+
+test('cursor: follows the statements formatted in a range of a script', async t => {
+    const input = '<script>\nlet   a=1\nlet b  =  |a\nlet c=2\n</script>\n<p  >{  c  }</p>';
+    t.is(
+        await formatAtCursor(input, { rangeStart: 19, rangeEnd: 31 }),
+        '<script>\nlet   a=1\nlet b = |a;\nlet c=2\n</script>\n<p  >{  c  }</p>',
+    );
+});
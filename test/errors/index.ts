@@ -0,0 +1,150 @@
+import test from 'ava';
+import { format } from 'prettier';
+import { useSvelte5Compiler, restoreSvelteCompiler } from '../helpers/samples';
+import { verify } from '../../src/lib/verify';
+
+/**
+ * Resolves with the error that formatting the input fails with. The plugin is given as an object,
+ * which prettier 3 needs for TypeScript sources (see `test/prettier3`).
+ */
+async function formatError(input: string, options = {}) {
+    try {
+        await format(input, {
+            parser: 'svelte' as any,
+            plugins: [require('../../src')],
+            ...options,
+        } as any);
+    } catch (err) {
+        return err;
+    }
+    throw new Error('expected formatting to fail');
+}
+
+test('errors: markup errors have 1-based columns and a code frame', async t => {
+    const err = await formatError('<div>\n    <p>{#if a ++ b}{/if}</p>\n</div>');
+
+    t.deepEqual(err.loc.start, { line: 2, column: 18 });
+    t.true(err.message.startsWith('Expected } in {#if} tag (2:18)'));
+    t.true(err.message.includes('> 2 |     <p>{#if a ++ b}{/if}</p>'));
+});
+
+test('errors: attribute expression errors name the attribute', async t => {
+    const err = await formatError('<p>hi</p>\n<button on:click={() => a +}>+</button>');
+
+    t.deepEqual(err.loc.start, { line: 2, column: 28 });
+    t.true(err.message.startsWith('Unexpected token in attribute expression of on:click (2:28)'));
+});
+
+test('errors: script errors are located in the component', async t => {
+    const err = await formatError(
+        '<p>hi</p>\n\n<script>\n    let a = 1;\n    let b = ;\n</script>',
+    );
+
+    t.deepEqual(err.loc.start, { line: 5, column: 13 });
+    t.is(err.message, 'Unexpected token in <script> (5:13)');
+});
+
+test('errors: typescript errors are located in the component', async t => {
+    const err = await formatError('<script lang="ts">let a: = 1;</script>');
+
+    t.deepEqual(err.loc.start, { line: 1, column: 26 });
+    t.is(err.message, 'Type expected in <script> (1:26)');
+});
+
+test('errors: style errors are located in the component', async t => {
+    const err = await formatError('<div>\n    <style>\n        p {\n    </style>\n</div>');
+
+    t.deepEqual(err.loc.start, { line: 3, column: 9 });
+    // prettier 2 and 3 word the errors of postcss differently
+    t.regex(
+        err.message,
+        /^(\(postcss\) CssSyntaxError|CssSyntaxError:) Unclosed block in <style> \(3:9\)$/,
+    );
+});
+
+test('errors: sort orders with unknown or missing sections are rejected', async t => {
+    t.is(
+        (await formatError('<p>hi</p>', { svelteSortOrder: 'scripts-markup-foo' })).message,
+        'Invalid svelteSortOrder "scripts-markup-foo": unknown part "foo", ' +
+            'expected one of options, module, instance, styles, markup, blocks, scripts',
+    );
+    t.is(
+        (await formatError('<p>hi</p>', { svelteSortOrder: 'instance-markup-styles' })).message,
+        'Invalid svelteSortOrder "instance-markup-styles": missing module, every section of a ' +
+            'component needs a place',
+    );
+    t.is(
+        (await formatError('<p>hi</p>', { svelteSortOrder: 'scripts-module-markup-styles' }))
+            .message,
+        'Invalid svelteSortOrder "scripts-module-markup-styles": "module" is listed twice',
+    );
+});
+
+test('errors: custom block errors are located in the component', async t => {
+    const err = await formatError('<p>hi</p>\n\n<i18n>\n{ "a": 1,, }\n</i18n>', {
+        svelteCustomBlocks: 'i18n:json',
+    });
+
+    t.deepEqual(err.loc.start, { line: 4, column: 10 });
+    t.is(err.message, 'Unexpected token in <i18n> (4:10)');
+});
+
+test('errors: invalid custom blocks are rejected', async t => {
+    t.is(
+        (await formatError('<p>hi</p>', { svelteCustomBlocks: 'docs:markdown,i18n' })).message,
+        'Invalid svelteCustomBlocks "docs:markdown,i18n": "i18n" is not of the form `tag:parser`',
+    );
+    t.is(
+        (await formatError('<p>hi</p>', { svelteCustomBlocks: 'i18n:toml' })).message,
+        'Invalid svelteCustomBlocks "i18n:toml": unknown parser "toml", ' +
+            'expected one of json, markdown, graphql, yaml, verbatim',
+    );
+    t.is(
+        (await formatError('<p>hi</p>', { svelteCustomBlocks: 'style:verbatim' })).message,
+        'Invalid svelteCustomBlocks "style:verbatim": <style> is not a custom block',
+    );
+    t.is(
+        (await formatError('<p>hi</p>', { svelteCustomBlocks: 'docs:markdown,docs:verbatim' }))
+            .message,
+        'Invalid svelteCustomBlocks "docs:markdown,docs:verbatim": <docs> is listed twice',
+    );
+});
+
+// serial, as the other tests must not run while the compiler is swapped
+test.serial('errors: unknown nodes are rejected with svelteFailOnUnknownNodes', async t => {
+    // Svelte 5 parses `{let a = 1}` into a node the printer doesn't know
+    useSvelte5Compiler();
+    try {
+        const err = await formatError('<div>{let count = 0}<p>{count}</p></div>', {
+            svelteFailOnUnknownNodes: true,
+        });
+
+        t.is(err.message, 'unknown node type: DeclarationTag');
+    } finally {
+        restoreSvelteCompiler();
+    }
+});
+
+test('errors: svelteVerify reports where the output differs from the source', async t => {
+    const options = { svelteCustomBlocks: '', svelteHtmlWhitespaceSensitivity: 'css' } as any;
+
+    t.throws(
+        () =>
+            verify(
+                '<div><p class="a">{x + 1}</p></div>',
+                '<div><p class="b">{x + 1}</p></div>',
+                options,
+            ),
+        'svelteVerify: the formatted component differs from the source at ' +
+            'ast.html.children[0].children[0].attributes[0].value[0].data (expected "a", got "b")',
+    );
+    t.throws(
+        () => verify('<p>{x + 1}</p>', '<p>{x - 1}</p>', options),
+        'svelteVerify: the formatted component differs from the source at ' +
+            'ast.html.children[0].children[0].expression.operator (expected "+", got "-")',
+    );
+    t.throws(
+        () => verify('<p>{x}</p>', '<p>{x</p>', options),
+        /^svelteVerify: the formatted component can't be parsed: /,
+    );
+});
@@ -1,5 +1,5 @@
 import test from 'ava';
-import { readdirSync, readFileSync } from 'fs';
+import { readdirSync, readFileSync, existsSync } from 'fs';
 import { format } from 'prettier';
 
 const dirs = readdirSync('test/formatting/samples');
@@ -13,13 +13,24 @@ for (const dir of dirs) {
         `test/formatting/samples/${dir}/output.html`,
         'utf-8',
     ).replace(/\r?\n/g, '\n');
+    const options = readOptions(`test/formatting/samples/${dir}/options.json`);
 
     test(`formatting: ${dir}`, t => {
         const actualOutput = format(input, {
             parser: 'svelte' as any,
             plugins: [require.resolve('../../src')],
             tabWidth: 4,
-        });
+            ...options,
+        } as any);
         t.is(expectedOutput, actualOutput);
     });
 }
+
+function readOptions(fileName: string) {
+    if (!existsSync(fileName)) {
+        return {};
+    }
+
+    const fileContents = readFileSync(fileName, 'utf-8');
+    return JSON.parse(fileContents);
+}
@@ -0,0 +1,84 @@
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import Module from 'module';
+
+export interface Sample {
+    name: string;
+    input: string;
+    output: string;
+    options: object;
+}
+
+export function readSample(fileName: string) {
+    return readFileSync(fileName, 'utf-8').replace(/\r?\n/g, '\n');
+}
+
+export function readOptions(fileName: string) {
+    if (!existsSync(fileName)) {
+        return {};
+    }
+
+    return JSON.parse(readFileSync(fileName, 'utf-8'));
+}
+
+/**
+ * Reads the samples in `test/formatting/samples` or `test/svelte5/samples`, one directory per
+ * sample with its `input.html`, `output.html` and optional `options.json`.
+ */
+export function readFormattingSamples(dir: string): Sample[] {
+    return readdirSync(dir).map(name => ({
+        name,
+        input: readSample(`${dir}/${name}/input.html`),
+        output: readSample(`${dir}/${name}/output.html`),
+        options: readOptions(`${dir}/${name}/options.json`),
+    }));
+}
+
+/**
+ * Reads the samples in `test/printer/samples`, which are printed as they are.
+ */
+export function readPrinterSamples(): Sample[] {
+    const dir = 'test/printer/samples';
+    return readdirSync(dir)
+        .filter(file => file.endsWith('.html'))
+        .map(file => {
+            const name = file.slice(0, file.length - '.html'.length);
+            const input = readSample(`${dir}/${file}`);
+            return {
+                name,
+                input,
+                output: input,
+                options: readOptions(`${dir}/${name}.options.json`),
+            };
+        });
+}
+
+/**
+ * Resolves `prettier` and its modules to another version of prettier, which is installed under
+ * the given name, e.g. `prettier2`.
+ */
+export function resolvePrettierTo(name: string) {
+    const resolveFilename = (Module as any)._resolveFilename;
+    (Module as any)._resolveFilename = function(request: string, ...args: any[]) {
+        return resolveFilename.call(this, request.replace(/^prettier(?=\/|$)/, name), ...args);
+    };
+}
+
+const compilerPath = require.resolve('svelte/compiler');
+
+/**
+ * Puts the Svelte 5 compiler (installed as `svelte5`) in place of `svelte/compiler` in the module
+ * cache, until `restoreSvelteCompiler` is called. Returns the exports the plugin is given, which can
+ * be changed.
+ */
+export function useSvelte5Compiler(): any {
+    const compiler = new Module(compilerPath);
+    compiler.filename = compilerPath;
+    compiler.loaded = true;
+    compiler.exports = { ...require('svelte5/compiler') };
+    require.cache[compilerPath] = compiler;
+    return compiler.exports;
+}
+
+export function restoreSvelteCompiler() {
+    delete require.cache[compilerPath];
+}
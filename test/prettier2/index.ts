@@ -0,0 +1,38 @@
+import test from 'ava';
+import { readFormattingSamples, readPrinterSamples, resolvePrettierTo } from '../helpers/samples';
+
+/**
+ * The other tests use prettier 1, these run the plugin with prettier 2 (installed as `prettier2`)
+ * by resolving `prettier` and its modules to it.
+ */
+resolvePrettierTo('prettier2');
+
+// the suites of `formatWithCursor`, of the errors and of the CLI run on prettier 2 as well
+require('../cursor');
+require('../errors');
+require('../cli');
+const { format } = require('prettier2');
+
+function formatSample(input: string, options: object) {
+    return format(input, {
+        parser: 'svelte',
+        plugins: [require.resolve('../../src')],
+        tabWidth: 4,
+        // the defaults of prettier 1, which the samples are written for
+        trailingComma: 'none',
+        arrowParens: 'avoid',
+        ...options,
+    });
+}
+
+for (const { name, input, output, options } of readFormattingSamples('test/formatting/samples')) {
+    test(`prettier 2: formatting: ${name}`, t => {
+        t.is(output, formatSample(input, options));
+    });
+}
+
+for (const { name, input, options } of readPrinterSamples()) {
+    test(`prettier 2: printer: ${name}`, t => {
+        t.is(input, formatSample(input, options));
+    });
+}
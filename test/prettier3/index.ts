@@ -0,0 +1,70 @@
+import test from 'ava';
+import { readFormattingSamples, readPrinterSamples, resolvePrettierTo } from '../helpers/samples';
+
+/**
+ * The other tests use prettier 1, these run the plugin with prettier 3 (installed as `prettier3`)
+ * by resolving `prettier` and its modules to it.
+ */
+resolvePrettierTo('prettier3');
+
+// the suites of `formatWithCursor`, of the errors and of the CLI run on prettier 3 as well
+require('../cursor');
+require('../errors');
+require('../cli');
+const { format, formatWithCursor } = require('prettier3');
+
+// prettier 3 imports plugins that are given by path, which doesn't work for TypeScript sources
+const plugin = require('../../src');
+
+// samples whose expected output differs on prettier 3, whose markdown printer puts one space
+// instead of three between the marker and the text of a list item (`- item`, not `-   item`)
+const unsupportedSamples = ['svx-document'];
+
+function formatSample(input: string, options: object): Promise<string> {
+    return format(input, {
+        parser: 'svelte',
+        plugins: [plugin],
+        tabWidth: 4,
+        // the defaults of prettier 1, which the samples are written for
+        trailingComma: 'none',
+        arrowParens: 'avoid',
+        ...options,
+    });
+}
+
+for (const { name, input, output, options } of readFormattingSamples('test/formatting/samples')) {
+    if (unsupportedSamples.indexOf(name) !== -1) {
+        continue;
+    }
+
+    test(`prettier 3: formatting: ${name}`, async t => {
+        t.is(output, await formatSample(input, options));
+    });
+}
+
+for (const { name, input, options } of readPrinterSamples()) {
+    test(`prettier 3: printer: ${name}`, async t => {
+        t.is(input, await formatSample(input, options));
+    });
+}
+
+test('prettier 3: syntax errors are located in the component', async t => {
+    const err = await t.throwsAsync(
+        formatSample('<p>hi</p>\n\n<script>\n    let a = 1;\n    let b = ;\n</script>', {}),
+    );
+
+    t.deepEqual((err as any).loc.start, { line: 5, column: 13 });
+    t.is(err.message.split('\n')[0], 'Unexpected token in <script> (5:13)');
+});
+
+test('prettier 3: the cursor is tracked in a script', async t => {
+    const input = '<script>\nlet   count=1;\nlet b  =  cou|nt+2\n</script>\n<p>{b}</p>';
+    const result = await formatWithCursor(input.replace('|', ''), {
+        parser: 'svelte',
+        plugins: [plugin],
+        tabWidth: 4,
+        cursorOffset: input.indexOf('|'),
+    });
+
+    t.is(result.formatted.slice(result.cursorOffset), 'nt + 2;\n</script>\n\n<p>{b}</p>\n');
+});
@@ -0,0 +1,62 @@
+import test from 'ava';
+import { format } from 'prettier';
+
+/**
+ * Formats the text between `before` and `after` as the range, and checks that both are kept as
+ * they are around the formatted range.
+ */
+function formatRange(before: string, range: string, after: string, options = {}) {
+    const output: string = format(before + range + after, {
+        parser: 'svelte' as any,
+        plugins: [require.resolve('../../src')],
+        tabWidth: 4,
+        rangeStart: before.length,
+        rangeEnd: before.length + range.length,
+        ...options,
+    } as any);
+
+    if (!output.startsWith(before) || !output.endsWith(after)) {
+        throw new Error(`the code outside the range changed:\n${output}`);
+    }
+    return output.slice(before.length, output.length - after.length);
+}
+
+test('range: formats only the statements of a script it covers', t => {
+    t.is(
+        formatRange('<script>\n    let   a=1\n', '    let b  =  a+1\n', '    let c=2\n</script>\n'),
+        '    let b = a + 1;\n',
+    );
+});
+
+test('range: formats only the statements of a typescript script it covers', t => {
+    t.is(
+        formatRange(
+            '<script lang="ts">\n    let   a:number=1\n',
+            '    let b:number  =  a+1\n',
+            '    let c=2\n</script>\n<p  >{  a  }</p>\n',
+        ),
+        '    let b: number = a + 1;\n',
+    );
+});
+
+test('range: formats only the rules of a style it covers', t => {
+    t.is(
+        formatRange(
+            '<p  >x</p>\n<style>\n    a{color:red}\n',
+            '    b{color:blue}\n',
+            '    c{}\n</style>',
+        ),
+        '    b {\n        color: blue;\n    }\n',
+    );
+});
+
+test('range: formats only the nodes of the template it covers', t => {
+    t.is(
+        formatRange(
+            '<script>\nlet   a=1\n</script>\n<div>\n',
+            '    <p  >{  a  }</p>\n',
+            '    <p  >{  a  }</p>\n</div>\n',
+        ),
+        '    <p>{a}</p>\n',
+    );
+});
@@ -0,0 +1,77 @@
+import test from 'ava';
+import { format } from 'prettier';
+import {
+    readSample,
+    readFormattingSamples,
+    readPrinterSamples,
+    useSvelte5Compiler,
+} from '../helpers/samples';
+
+/**
+ * The other tests use the Svelte 3 compiler, these run the plugin with Svelte 5 (installed as
+ * `svelte5`) by putting it in place of `svelte/compiler` in the module cache.
+ */
+const compiler = useSvelte5Compiler();
+
+const parseOptions: any[] = [];
+const parse = compiler.parse;
+compiler.parse = (source: string, options: any) => {
+    parseOptions.push(options);
+    return parse(source, options);
+};
+
+// samples with syntax that Svelte 5 no longer accepts
+const unsupportedSamples = ['svelte-options-element'];
+
+function formatSample(input: string, options: object) {
+    return format(input, {
+        parser: 'svelte' as any,
+        plugins: [require.resolve('../../src')],
+        tabWidth: 4,
+        ...options,
+    } as any);
+}
+
+for (const { name, input, output } of readFormattingSamples('test/svelte5/samples')) {
+    test(`svelte 5: ${name}`, t => {
+        t.is(output, formatSample(input, {}));
+    });
+}
+
+// Svelte 3 and 4 components are formatted the same with Svelte 5
+for (const { name, input, output, options } of readFormattingSamples('test/formatting/samples')) {
+    if (unsupportedSamples.indexOf(name) !== -1) {
+        continue;
+    }
+
+    test(`svelte 5: formatting: ${name}`, t => {
+        t.is(output, formatSample(input, options));
+    });
+}
+
+for (const { name, input, options } of readPrinterSamples()) {
+    if (unsupportedSamples.indexOf(name) !== -1) {
+        continue;
+    }
+
+    test(`svelte 5: printer: ${name}`, t => {
+        t.is(input, formatSample(input, options));
+    });
+}
+
+test('svelte 5: components are read from the modern AST', t => {
+    parseOptions.length = 0;
+    formatSample('{#if a}<p>{b}</p>{:else if c}<p>d</p>{/if}', {});
+
+    t.true(parseOptions.length > 0);
+    t.true(parseOptions.every(options => options.modern === true));
+});
+
+test('svelte 5: function bindings compile', t => {
+    const output = formatSample(
+        readSample('test/svelte5/samples/function-bindings/input.html'),
+        {},
+    );
+
+    t.notThrows(() => require('svelte5/compiler').compile(output, {}));
+});